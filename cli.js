@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/* cli.js
+  Headless design run: reads a JSON input object (or an array of them for a batch)
+  and writes { inputs, errors, warnings, design } for each as JSON.
+    node cli.js input.json [output.json]     (no file or "-" reads stdin / writes stdout)
+  Inputs are SI, keyed as DEFAULT_INPUTS; missing fields take the defaults.
+  Exit status: 0 designed, 1 an input failed validation, 2 unreadable input.
+*/
+import { readFileSync, writeFileSync } from 'node:fs';
+import { runDesign } from './design.js';
+
+const USAGE = 'usage: node cli.js [input.json|-] [output.json]';
+
+function main(args) {
+  if (args.includes('-h') || args.includes('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+  const [inFile = '-', outFile] = args;
+  let request;
+  try {
+    request = JSON.parse(readFileSync(inFile === '-' ? 0 : inFile, 'utf8'));
+  } catch (err) {
+    console.error(`cli.js: cannot read ${inFile === '-' ? 'stdin' : inFile}: ${err.message}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const batch = Array.isArray(request);
+  const results = (batch ? request : [request]).map(runDesign);
+  const text = JSON.stringify(batch ? results : results[0], null, 2) + '\n';
+  if (outFile && outFile !== '-') writeFileSync(outFile, text);
+  else process.stdout.write(text);
+
+  results.forEach((r, i) => r.errors.forEach(e => console.error(`${batch ? `[${i}] ` : ''}${e.field}: ${e.message}`)));
+  return results.some(r => r.errors.length) ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
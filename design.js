@@ -0,0 +1,771 @@
+/* design.js
+  Calculation core shared by the pages, the command line (cli.js) and the tests.
+  - No DOM, storage or unit conversion: inputs and results are SI throughout.
+  - validateInputs checks an input object against INPUT_SCHEMA and returns
+    structured errors / warnings; runDesign validates and then designs.
+  - ES module: the pages load it through script.js, so serve them over http.
+*/
+
+/* ---------- Design calculations (textbook style) ---------- */
+export const MAX_UNITS = 50;
+
+export function calcDesignFromInputs(inputs) {
+  // inputs: { population, pcd, process, tankType, detention, depth, sor, lbratio,
+  //           units, standby, peakFactor, designPeriod, growthMethod, census, maxL, maxB, maxDia, ... }
+  const pcd = Number(inputs.pcd) || 150; // Lpcd
+  const plant = calcPlantFlow(inputs, pcd);
+  if (inputs.mode === 'check') return checkExistingTank(inputs, plant, pcd);
+
+  // split the peak flow across duty units; add units until every unit fits the size caps
+  const limits = {
+    L: Number(inputs.maxL) || Infinity, B: Number(inputs.maxB) || Infinity, Dia: Number(inputs.maxDia) || Infinity
+  };
+  let units = plant.unitsRequested, unit, fits;
+  for (;;) {
+    unit = sizeUnit(plant.Q_peak_day / units, inputs);
+    fits = unit.L <= limits.L && unit.B <= limits.B && unit.Dia <= limits.Dia;
+    if (fits || units >= MAX_UNITS) break;
+    units++;
+  }
+  plant.units = units;
+  plant.totalUnits = units + plant.standby;
+  plant.limitsGoverned = units > plant.unitsRequested;
+  // still oversized at MAX_UNITS: fail on the dimension furthest over its cap
+  plant.limitsExceeded = !fits;
+  if (!fits) {
+    const dim = ['L', 'B', 'Dia'].reduce((a, b) => (unit[b] / limits[b] > unit[a] / limits[a] ? b : a));
+    unit.compliance.push({
+      key: 'maxSize', label: `${{ L: 'Length', B: 'Breadth', Dia: 'Diameter' }[dim]} at ${units} units (maximum size)`,
+      value: unit[dim], kind: 'length', range: [0, limits[dim]], status: 'fail'
+    });
+  }
+  plant.totalPlanArea = unit.planArea * plant.totalUnits;
+  plant.totalVolume = unit.controllingVolume * plant.totalUnits;
+  unit.quantities = calcQuantities(unit);
+
+  return { ...unit, P: plant.P, pcd, plant };
+}
+
+/* ---------- Population projection and plant flow ---------- */
+/* Parse "year:population, ..." census records, sorted by year */
+export function parseCensus(text) {
+  return String(text || '')
+    .split(/[,;\n]+/)
+    .map(s => s.split(':').map(Number))
+    .filter(([y, p]) => y > 0 && p > 0)
+    .map(([year, pop]) => ({ year, pop }))
+    .sort((a, b) => a.year - b.year);
+}
+
+/* Project population P0 over `years` from census records.
+   Increases are normalised per decade; n = years / 10 decades.
+   arithmetic:  Pn = P0 + n·x̄
+   geometric:   Pn = P0·(1 + r)^n      (r = geometric mean growth per decade)
+   incremental: Pn = P0 + n·x̄ + n(n+1)/2·ȳ  */
+export function projectPopulation(P0, years, method, census) {
+  const n = years / 10;
+  if (!(n > 0) || census.length < 2 || !['arithmetic', 'geometric', 'incremental'].includes(method)) {
+    return { P: P0, n: 0, method: 'none' };
+  }
+  const inc = [], rates = [];
+  for (let i = 1; i < census.length; i++) {
+    const decades = (census[i].year - census[i - 1].year) / 10;
+    inc.push((census[i].pop - census[i - 1].pop) / decades);
+    rates.push(Math.pow(census[i].pop / census[i - 1].pop, 1 / decades) - 1);
+  }
+  const xbar = inc.reduce((s, x) => s + x, 0) / inc.length;
+  const incInc = inc.slice(1).map((x, i) => x - inc[i]);
+  const ybar = incInc.length ? incInc.reduce((s, y) => s + y, 0) / incInc.length : 0;
+  const r = Math.pow(rates.reduce((s, x) => s * (1 + x), 1), 1 / rates.length) - 1;
+
+  let P;
+  if (method === 'arithmetic') P = P0 + n * xbar;
+  else if (method === 'geometric') P = P0 * Math.pow(1 + r, n);
+  else P = P0 + n * xbar + (n * (n + 1) / 2) * ybar;
+  return { P: Math.round(P), n, method, xbar, ybar, r };
+}
+
+/* Average flow from population × pcd, or directly from the plant capacity (MLD) */
+function calcPlantFlow(inputs, pcd) {
+  const capacity = inputs.flowBasis === 'capacity' ? Number(inputs.capacity) || 0 : 0;
+  const P0 = capacity > 0 ? null : Number(inputs.population) || 0;
+  const years = Number(inputs.designPeriod) || 0;
+  const projection = capacity > 0 ? { P: null, n: 0, method: 'none' } : projectPopulation(P0, years, inputs.growthMethod, parseCensus(inputs.census));
+  const peakFactor = Number(inputs.peakFactor) || 1;
+  const Q_avg_day = capacity > 0 ? capacity * 1000 : (projection.P * pcd) / 1000; // m3/day
+  return {
+    P0, P: projection.P, designPeriod: years, projection, capacity,
+    Q_avg_day, peakFactor, Q_peak_day: Q_avg_day * peakFactor,
+    unitsRequested: Math.max(1, Math.round(Number(inputs.units) || 1)),
+    standby: Math.max(0, Math.round(Number(inputs.standby) || 0))
+  };
+}
+
+/* ---------- Single-unit sizing for a given flow ---------- */
+function sizeUnit(Q_day_m3, inputs) {
+  const detention = Number(inputs.detention) || 2.5;
+  const depth = Number(inputs.depth) || 3.5;
+  const sor_L = Number(inputs.sor) || 20000; // L / m2 / day
+  const tankType = inputs.tankType || 'horizontal';
+  const lbr = Number(inputs.lbratio) || 4;
+
+  // Flows (per unit)
+  const Q_m3_s = Q_day_m3 / 86400;   // m3/s
+
+  // SOR convert
+  const SOR_m3_m2_day = sor_L / 1000; // m3/m2/day
+
+  // Plan area by overflow
+  const planArea = (SOR_m3_m2_day > 0) ? (Q_day_m3 / SOR_m3_m2_day) : 0; // m2
+
+  // Volumes
+  const V_det = Q_m3_s * detention * 3600; // m3 (by detention)
+  const V_area = planArea * depth;         // m3 (by area x depth)
+  const controllingVolume = Math.max(V_det, V_area);
+
+  // Geometry
+  let L = 0, B = 0, Dia = 0;
+  if (tankType === 'horizontal') {
+    L = Math.sqrt(planArea * lbr) || 0;
+    B = planArea / (L || 1) || 0;
+  } else {
+    Dia = Math.sqrt((4 * planArea) / Math.PI) || 0;
+  }
+
+  // Buildable size: plan dimensions and depth rounded up, then everything re-checked on it
+  const raw = { L, B, Dia, depth, planArea, SOR_m3_m2_day, V_area, controllingVolume };
+  const { roundPlan, roundDepth } = constructionInputs(inputs);
+  const up = (x, step) => (step > 0 ? roundUp(x, step) : x);
+  const built = tankType === 'horizontal'
+    ? { L: up(L, roundPlan), B: up(B, roundPlan), Dia }
+    : { L, B, Dia: up(Dia, roundPlan) };
+  built.depth = up(depth, roundDepth);
+  built.planArea = tankType === 'horizontal' ? built.L * built.B : Math.PI * built.Dia * built.Dia / 4;
+  built.V_area = built.planArea * built.depth;
+
+  return evaluateUnit(Q_day_m3, inputs, {
+    ...built, SOR_m3_m2_day: built.planArea > 0 ? Q_day_m3 / built.planArea : 0,
+    V_det, controllingVolume: Math.max(V_det, built.V_area), detention, tankType, lbr, raw
+  });
+}
+
+/* Performance of a unit of known size at a given flow: removal, criteria and
+   hydraulic checks, sludge. Shared by sizing and by the check of an existing tank. */
+function evaluateUnit(Q_day_m3, inputs, size) {
+  const { SOR_m3_m2_day, controllingVolume, L, B, Dia, depth, tankType } = size;
+  const Q_m3_s = Q_day_m3 / 86400;
+  const process = processKey(inputs.process);
+
+  // Removal expected at this overflow rate (Hazen ideal basin / column test)
+  const settling = calcSettling(inputs, SOR_m3_m2_day);
+
+  // Secondary values used by the criteria checks
+  const detentionActual = Q_m3_s > 0 ? controllingVolume / Q_m3_s / 3600 : 0; // h
+  const geometry = calcGeometry({ tankType, L, B, Dia, depth });
+  const weirLength = geometry.weirLength;
+  const weirLoading = weirLength > 0 ? Q_day_m3 / weirLength : 0; // m3/m/day
+
+  const design = {
+    Q_day_m3, Q_m3_s, ...size,
+    process, detentionActual, weirLength, weirLoading, geometry, settling
+  };
+  design.hydraulics = calcHydraulics(design);
+  design.vh = design.hydraulics.vh;
+  design.compliance = checkCompliance(design);
+  design.structure = constructionInputs(inputs);
+  design.sludge = calcSludge(design, inputs);
+  return design;
+}
+
+/* ---------- Check mode: performance and capacity of an existing tank ---------- */
+/* Flow-dependent limits of the criteria; each holds up to some flow per unit
+   (SOR, velocity, weir loading and scour rise with the flow, detention and removal fall). */
+const CAPACITY_LIMITS = [
+  { key: 'sor', label: 'Surface overflow rate', ok: (u, c) => u.SOR_m3_m2_day <= c.sor[1] },
+  { key: 'detention', label: 'Detention time', ok: (u, c) => u.detentionActual >= c.detention[0] },
+  { key: 'vh', label: 'Horizontal velocity', ok: (u, c) => u.vh * 60 <= c.vh[1] },
+  { key: 'weirLoading', label: 'Weir loading', ok: (u, c) => u.weirLoading <= c.weirLoading[1] },
+  { key: 'scour', label: 'Scour velocity', ok: u => u.hydraulics.vh < u.hydraulics.vScour },
+  { key: 'removal', label: 'Target removal', ok: u => !(u.settling.target > 0) || u.settling.overall >= u.settling.target }
+];
+
+/* largest flow (m3/day) for which ok(Q) holds, by doubling then bisection; Infinity if never
+   limiting, null if no flow meets it */
+function maxFlowWithin(ok, Q0) {
+  let lo = 0, hi = Math.max(Q0, 1);
+  while (ok(hi)) {
+    lo = hi; hi *= 2;
+    if (hi > 1e9) return Infinity;
+  }
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (ok(mid)) lo = mid; else hi = mid;
+  }
+  return lo > 0 ? lo : null;
+}
+
+/* The entered units carry the current peak flow; the capacity is the largest flow at which
+   every flow-dependent criterion still passes, with the governing criterion. */
+function checkExistingTank(inputs, plant, pcd) {
+  const tankType = inputs.tankType || 'horizontal', rect = tankType === 'horizontal';
+  const depth = Number(inputs.depth) || 3.5;
+  const L = rect ? Number(inputs.tankL) || 0 : 0, B = rect ? Number(inputs.tankB) || 0 : 0;
+  const Dia = rect ? 0 : Number(inputs.tankDia) || 0;
+  const planArea = rect ? L * B : Math.PI * Dia * Dia / 4, volume = planArea * depth;
+  const unitAt = Q => evaluateUnit(Q, inputs, {
+    SOR_m3_m2_day: planArea > 0 ? Q / planArea : 0, planArea, V_det: volume, V_area: volume, controllingVolume: volume,
+    L, B, Dia, depth, detention: Q > 0 ? volume / Q * 24 : 0, tankType, lbr: rect && B > 0 ? L / B : 0
+  });
+
+  plant.units = plant.unitsRequested;
+  plant.totalUnits = plant.units + plant.standby;
+  plant.limitsGoverned = false;
+  plant.totalPlanArea = planArea * plant.totalUnits;
+  plant.totalVolume = volume * plant.totalUnits;
+  const unit = unitAt(plant.Q_peak_day / plant.units);
+
+  // limits that never bind (e.g. no target removal) are left out; flows are per unit and plant peak.
+  // A limit no flow meets (e.g. a target removal above what the column test reaches) has no
+  // flow (null), fails at any load and is listed apart instead of governing at zero.
+  const c = DESIGN_CRITERIA[unit.process] || DESIGN_CRITERIA.plain;
+  const limits = (planArea > 0 ? CAPACITY_LIMITS : [])
+    .map(l => ({ key: l.key, label: l.label, Q_unit: maxFlowWithin(Q => l.ok(unitAt(Q), c), unit.Q_day_m3) }))
+    .filter(l => l.Q_unit !== Infinity)
+    .map(l => ({ ...l, Q_peak: l.Q_unit === null ? null : l.Q_unit * plant.units }));
+  const governing = limits.filter(l => l.Q_unit !== null).reduce((a, b) => (!a || b.Q_unit < a.Q_unit ? b : a), null);
+  const Q_peak = governing ? governing.Q_peak : 0, Q_avg = Q_peak / plant.peakFactor;
+  const capacity = {
+    limits, governing: governing && governing.key, Q_unit: governing ? governing.Q_unit : 0, Q_peak, Q_avg,
+    unattainable: limits.filter(l => l.Q_unit === null).map(l => l.key),
+    P: Math.floor(Q_avg * 1000 / pcd),
+    utilisation: Q_peak > 0 ? plant.Q_peak_day / Q_peak : null
+  };
+  return { ...unit, mode: 'check', P: plant.P, pcd, plant, capacity };
+}
+
+/* ---------- Construction: buildable size, thicknesses, quantities and bill of quantities ---------- */
+const PLAN_ROUND = 0.5;           // m, default increment for L / B / Ø
+const DEPTH_ROUND = 0.1;          // m, default increment for the water depth
+export const WALL_THICKNESS = 0.3;       // m, tank walls
+export const BASE_THICKNESS = 0.3;       // m, floor slab and hopper walls
+const STEEL_RATIO = 100;          // kg reinforcement per m3 of concrete
+export const EXCAVATION_MARGIN = 0.5;    // m working space outside the walls
+
+const roundUp = (x, step) => Math.ceil(x / step - 1e-9) * step;
+
+/* rounding increments, freeboard, thicknesses (m) and steel ratio; blank fields take the defaults */
+function constructionInputs(inputs) {
+  const num = (v, dflt) => (isFinite(parseFloat(v)) ? Math.max(0, Number(v)) : dflt);
+  return {
+    roundPlan: num(inputs.roundPlan, PLAN_ROUND), roundDepth: num(inputs.roundDepth, DEPTH_ROUND),
+    freeboard: num(inputs.freeboard, FREEBOARD), wall: num(inputs.wallThickness, WALL_THICKNESS),
+    base: num(inputs.baseThickness, BASE_THICKNESS), steelRatio: num(inputs.steelRatio, STEEL_RATIO)
+  };
+}
+
+/* Per-unit quantities for a first budget. Ground is taken at top water level, so the
+   excavation runs from TWL to the underside of the base and hoppers; walls rise from
+   the floor to the freeboard; the base slab spans the outer plan less the hopper openings. */
+export function calcQuantities(d) {
+  const g = d.geometry, hop = g.hopper, st = d.structure, W = st.wall, T = st.base;
+  const rect = d.tankType === 'horizontal', zone = d.sludge.zoneDepth;
+  const planOf = grow => (rect ? (d.L + 2 * grow) * (d.B + 2 * grow) : Math.PI * (d.Dia / 2 + grow) ** 2);
+  const hopperArea = x => (hop.shape === 'cone' ? Math.PI * x * x / 4 : x * x);
+  const avgDrop = g.floorDrop / (rect ? 2 : 3); // wedge / cone below the sludge zone
+
+  // concrete: walls, base slab, hopper walls (sloping faces) and bottom
+  const wallHeight = d.depth + zone + st.freeboard + (rect ? avgDrop : 0); // circular walls stand at the shallow edge
+  const walls = (planOf(W) - planOf(0)) * wallHeight;
+  const base = (planOf(W) - hop.count * hopperArea(hop.top)) * T;
+  const slant = Math.hypot(hop.depth, (hop.top - hop.bottom) / 2);
+  const faces = hop.shape === 'cone' ? Math.PI * (hop.top + hop.bottom) / 2 * slant : 2 * (hop.top + hop.bottom) * slant;
+  const hoppers = hop.count * (faces + hopperArea(hop.bottom)) * T;
+  const concrete = walls + base + hoppers;
+
+  // excavation: outer plan plus working space down to the base, hoppers below it
+  const digDepth = d.depth + zone + avgDrop + T;
+  const excavation = planOf(W + EXCAVATION_MARGIN) * digDepth
+    + hop.count * frustum(hop.depth, hopperArea(hop.top + 2 * T), hopperArea(hop.bottom + 2 * T));
+
+  return {
+    wallHeight, digDepth, excavation,
+    concrete: { walls, base, hoppers, total: concrete },
+    reinforcement: concrete * st.steelRatio
+  };
+}
+
+/* Bill of quantities for all tanks (duty + standby); rates are per SI unit (m³, kg). */
+export const BOQ_ITEMS = [
+  { key: 'excavation', label: 'Excavation', kind: 'bulk', qty: q => q.excavation },
+  { key: 'concrete', label: 'Reinforced concrete', kind: 'bulk', qty: q => q.concrete.total },
+  { key: 'reinforcement', label: 'Reinforcement steel', kind: 'weight', qty: q => q.reinforcement }
+];
+export const DEFAULT_RATES = { currency: 'INR', excavation: 450, concrete: 8500, reinforcement: 75 };
+
+export function billOfQuantities(d, rates = DEFAULT_RATES) {
+  const tanks = d.plant ? d.plant.totalUnits : 1;
+  const lines = BOQ_ITEMS.map(it => {
+    const qty = it.qty(d.quantities) * tanks, rate = Number(rates[it.key]) || 0;
+    return { key: it.key, label: it.label, kind: it.kind, qty, rate, amount: qty * rate };
+  });
+  return { currency: rates.currency, tanks, lines, total: lines.reduce((s, l) => s + l.amount, 0) };
+}
+
+/* ---------- Sludge zone, hopper storage and desludging interval ---------- */
+export const SLUDGE_ZONE_DEPTH = 0.3; // m, sludge storage allowance above the floor
+export const FREEBOARD = 0.5;         // m, above top water level
+const TSS_PER_NTU = 1.5;       // mg/L TSS per NTU when only turbidity is known
+
+/* volume of a frustum (pyramid or cone) from top/bottom areas */
+const frustum = (h, A1, A2) => (h / 3) * (A1 + A2 + Math.sqrt(A1 * A2));
+
+function calcSludge(d, inputs) {
+  const g = d.geometry;
+  const raw = Number(inputs.influentSolids) || 0;
+  const tss = inputs.solidsBasis === 'turbidity' ? raw * TSS_PER_NTU : raw; // mg/L
+  const removal = isFinite(parseFloat(inputs.sludgeRemoval))
+    ? Number(inputs.sludgeRemoval) / 100
+    : (d.settling && isFinite(d.settling.overall) ? d.settling.overall : 0);
+  const solids = (Number(inputs.sludgeSolids) || 2) / 100; // dry solids fraction
+  const sg = Number(inputs.sludgeSG) || 1.03;
+
+  // dry solids (kg/d) = Q (m3/d) x TSS (g/m3) x removal / 1000; wet volume = M / (rho_w x S x P)
+  const drySolids = (d.Q_day_m3 * tss * removal) / 1000;
+  const volumePerDay = drySolids / (1000 * sg * solids);
+
+  // storage: hopper(s) + floor slope wedge/cone + allowance layer over the plan area
+  const h = g.hopper;
+  const hopperArea = x => (h.shape === 'cone' ? Math.PI * x * x / 4 : x * x);
+  const hopperVolume = h.count * frustum(h.depth, hopperArea(h.top), hopperArea(h.bottom));
+  const floorVolume = d.tankType === 'horizontal'
+    ? d.planArea * g.floorDrop / 2
+    : d.planArea * g.floorDrop / 3;
+  const zoneVolume = d.planArea * SLUDGE_ZONE_DEPTH + floorVolume;
+  const storage = hopperVolume + zoneVolume;
+  const freeboard = d.structure ? d.structure.freeboard : FREEBOARD;
+
+  return {
+    tss, removal, solids, sg, drySolids, volumePerDay,
+    hopperVolume, zoneDepth: SLUDGE_ZONE_DEPTH, zoneVolume, storage,
+    freeboard, totalDepth: d.depth + SLUDGE_ZONE_DEPTH + freeboard,
+    interval: volumePerDay > 0 ? storage / volumePerDay : Infinity // days
+  };
+}
+
+/* ---------- Hydraulic checks: scour, weir, Re / Fr ---------- */
+export const CAMP_K = 0.05;        // cohesion constant for sticky/unigranular material (0.04 - 0.06)
+export const DARCY_F = 0.025;      // Darcy-Weisbach friction factor of the settled sludge (0.02 - 0.03)
+export const RE_LAMINAR = 2000, RE_MAX = 20000, FR_MIN = 1e-5;
+
+/* Flow-through section used for velocity checks: full cross-section for
+   rectangular tanks, the cylinder below the feed well / skirt for circular ones. */
+export function flowSection(d) {
+  const g = d.geometry, H = d.depth;
+  if (d.tankType === 'horizontal') return { width: d.B, height: H };
+  if (d.tankType === 'peripheral') return { width: Math.PI * (d.Dia - 2 * g.inlet.channelWidth), height: H - g.inlet.skirtDepth };
+  return { width: Math.PI * g.inlet.dia, height: H - g.inlet.depth };
+}
+
+export function calcHydraulics(d) {
+  const c = DESIGN_CRITERIA[d.process] || DESIGN_CRITERIA.plain;
+  const s = d.settling || {};
+  const nu = s.nu || 1.004e-6, sg = s.sg || 2.65;
+
+  // horizontal flow-through velocity and hydraulic radius of the flow section
+  const sec = flowSection(d);
+  const area = sec.width * sec.height;
+  const vh = area > 0 ? d.Q_m3_s / area : 0;
+  const Rh = area > 0 ? area / (sec.width + 2 * sec.height) : 0;
+
+  // Camp's scour velocity for the critical particle: vs = sqrt(8k(s-1)gd / f)
+  const dScour = (s.dc_mm > 0 ? s.dc_mm : 0.1) / 1000;
+  const vScour = Math.sqrt((8 * CAMP_K * (sg - 1) * G * dScour) / DARCY_F);
+
+  // weir loading against the allowable rate
+  const weirRequired = d.Q_day_m3 / c.weirLoading[1];
+
+  // stability / short-circuiting
+  const Re = (vh * Rh) / nu;
+  const Fr = Rh > 0 ? (vh * vh) / (G * Rh) : 0;
+
+  const checks = [
+    { key: 'scour', label: 'Horizontal velocity vs scour', value: vh * 60, kind: 'velocity', status: vh < vScour ? 'pass' : 'fail' },
+    { key: 'weir', label: 'Weir loading', value: d.weirLoading, kind: 'weir', status: rangeStatus(d.weirLoading, c.weirLoading) },
+    { key: 're', label: 'Reynolds number', value: Re, kind: '', status: Re < RE_LAMINAR ? 'pass' : (Re <= RE_MAX ? 'warn' : 'fail') },
+    { key: 'fr', label: 'Froude number', value: Fr, kind: '', status: Fr > FR_MIN ? 'pass' : 'warn' }
+  ];
+
+  return { vh, Rh, vScour, dScour_mm: dScour * 1000, weirRequired, Re, Fr, checks };
+}
+
+/* ---------- Tank-type geometry: inlet, outlet, weir, floor slope, hopper ---------- */
+export const HOPPER_WALL_ANGLE = 60;   // deg from horizontal
+const HOPPER_BOTTOM = 0.6;      // m, hopper bottom (square side / diameter)
+const SCUM_BAFFLE = { scumOffset: 0.3, scumDepth: 0.3 }; // m ahead of the weir, m below top water
+const WEIR_LEVELS = { weirDepth: 0.6, crestHeight: 0.05 };  // m, launder invert below / weir crest above top water
+export const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+
+/* inverted pyramid/cone hopper with the given top size; the bottom narrows below
+   HOPPER_BOTTOM in a tank too small for it, so the hopper keeps its walls */
+function hopperOf(shape, count, top) {
+  const bottom = Math.min(HOPPER_BOTTOM, top / 2);
+  return { shape, count, top, bottom, depth: (top - bottom) / 2 * Math.tan(HOPPER_WALL_ANGLE * Math.PI / 180) };
+}
+
+/* Parts are sized from the tank and kept inside it: the minimum sizes (1 m feed well,
+   0.3 m launder, ...) give way on tanks too small for them. */
+export function calcGeometry({ tankType, L, B, Dia, depth }) {
+  if (tankType === 'horizontal') {
+    // inlet channel + perforated baffle; hoppers across the width at the inlet end; end weir
+    const nHoppers = Math.max(1, Math.ceil(B / Math.min(L / 4, B, 4)));
+    const hopperTop = B / nHoppers;
+    const floorSlope = 0.01; // 1 % falling towards the inlet hoppers
+    return {
+      shape: 'rectangular',
+      inlet: { type: 'Inlet channel with perforated baffle', location: 'Full width at the inlet end',
+        baffleOffset: Math.min(clamp(0.05 * L, 0.6, 1.0), L / 4), baffleDepth: 0.5 * depth },
+      outlet: { type: 'End weir into effluent launder', location: 'Full width at the outlet end',
+        launderWidth: Math.min(clamp(0.05 * B, 0.3, 0.8), L / 8), ...SCUM_BAFFLE, ...WEIR_LEVELS },
+      weirLength: B,
+      floorSlope,
+      floorDrop: floorSlope * Math.max(0, L - hopperTop),
+      hopper: hopperOf('pyramid', nHoppers, hopperTop)
+    };
+  }
+
+  const R = Dia / 2;
+  const floorSlope = 1 / 12; // scraper floor falling to the central hopper
+  const hopperTop = Math.min(Math.max(1.0, 0.1 * Dia), R);
+  const hopper = hopperOf('cone', 1, hopperTop);
+  const floorDrop = floorSlope * Math.max(0, R - hopperTop / 2);
+
+  if (tankType === 'peripheral') {
+    // peripheral inlet channel with skirt baffle; central outlet launder with weirs on both sides
+    const channelWidth = Math.min(clamp(0.03 * Dia, 0.4, 1.0), Dia / 8);
+    const outletDia = Math.min(Math.max(1.5, 0.25 * Dia), R);
+    const launderWidth = Math.min(clamp(0.02 * Dia, 0.3, 0.8), outletDia / 4);
+    return {
+      shape: 'circular',
+      inlet: { type: 'Peripheral inlet channel with skirt baffle', location: 'Around the tank wall',
+        channelWidth, skirtDepth: 0.3 * depth },
+      outlet: { type: 'Central launder, weirs both sides', location: 'Tank centre', dia: outletDia, launderWidth, ...SCUM_BAFFLE, ...WEIR_LEVELS },
+      weirLength: Math.PI * outletDia + Math.PI * (outletDia - 2 * launderWidth),
+      floorSlope, floorDrop, hopper
+    };
+  }
+
+  // radial (and vertical/up-flow): central feed well, peripheral weir and launder
+  const feedWellDia = Math.min(Math.max(1.0, 0.2 * Dia), R);
+  const launderWidth = Math.min(clamp(0.02 * Dia, 0.3, 0.8), Dia / 8);
+  const weirDia = Dia - 2 * launderWidth;
+  return {
+    shape: 'circular',
+    inlet: { type: 'Central feed well', location: 'Tank centre',
+      dia: feedWellDia, depth: (tankType === 'vertical' ? 0.6 : 0.4) * depth },
+    outlet: { type: 'Peripheral weir into launder', location: 'Around the tank wall', weirDia, launderWidth, ...SCUM_BAFFLE, ...WEIR_LEVELS },
+    weirLength: Math.PI * weirDia,
+    floorSlope, floorDrop, hopper
+  };
+}
+
+/* ---------- Design criteria per process (CPHEEO manual / S.K. Garg typical ranges) ---------- */
+export const DESIGN_CRITERIA = {
+  plain: {
+    label: 'Plain sedimentation',
+    sor: [12, 30],          // m3/m2/day
+    detention: [3, 8],      // h
+    depth: [2.5, 5],        // m
+    vh: [0, 0.3],           // m/min
+    weirLoading: [0, 300],  // m3/m/day
+    lb: [3, 5]
+  },
+  coagulated: {
+    label: 'Coagulated / mechanically aided',
+    sor: [24, 40],
+    detention: [2, 4],
+    depth: [3, 5],
+    vh: [0, 0.6],
+    weirLoading: [0, 300],
+    lb: [3, 5]
+  }
+};
+const CRITERIA_TOLERANCE = 0.1; // within 10 % outside a limit -> warn instead of fail
+
+/* map the #process value (or the option text saved by older versions) to a criteria key */
+export function processKey(process) {
+  return /^coag/i.test(String(process || '')) ? 'coagulated' : 'plain';
+}
+
+/* classify value against [min, max]: 'pass' | 'warn' | 'fail' */
+export function rangeStatus(value, [min, max]) {
+  if (!isFinite(value)) return 'n/a';
+  if (value >= min && value <= max) return 'pass';
+  const tolMin = min * (1 - CRITERIA_TOLERANCE), tolMax = max * (1 + CRITERIA_TOLERANCE);
+  return (value >= tolMin && value <= tolMax) ? 'warn' : 'fail';
+}
+
+function checkCompliance(d) {
+  const c = DESIGN_CRITERIA[d.process] || DESIGN_CRITERIA.plain;
+  const rows = [
+    { key: 'sor', label: 'Surface overflow rate', value: d.SOR_m3_m2_day, kind: 'sor', range: c.sor },
+    { key: 'detention', label: 'Detention time', value: d.detentionActual, unit: 'h', range: c.detention },
+    { key: 'depth', label: 'Water depth', value: d.depth, kind: 'length', range: c.depth },
+    { key: 'vh', label: 'Horizontal velocity', value: d.vh * 60, kind: 'velocity', range: c.vh },
+    { key: 'weirLoading', label: 'Weir loading', value: d.weirLoading, kind: 'weir', range: c.weirLoading },
+    { key: 'lb', label: 'Length : breadth', value: d.tankType === 'horizontal' ? d.lbr : NaN, unit: ': 1', range: c.lb }
+  ];
+  rows.forEach(r => { r.status = rangeStatus(r.value, r.range); });
+  return rows;
+}
+
+/* ---------- Particle settling (Type I discrete / Type II flocculent) ---------- */
+export const G = 9.81; // m/s2
+
+/* water density (kg/m3) and dynamic viscosity (Pa.s) at temperature T (deg C) */
+export function waterDensity(T) {
+  return 1000 * (1 - ((T + 288.9414) / (508929.2 * (T + 68.12963))) * Math.pow(T - 3.9863, 2));
+}
+export function waterViscosity(T) {
+  return 2.414e-5 * Math.pow(10, 247.8 / (T + 133.15)); // Vogel equation
+}
+
+/* Terminal settling velocity (m/s) of a sphere of diameter d (m).
+   Starts from Stokes' law and, if Re > 1, iterates the transition drag
+   coefficient Cd = 24/Re + 3/sqrt(Re) + 0.34 until vs converges. */
+export function settlingVelocity(d, sg, T) {
+  const rho = waterDensity(T), mu = waterViscosity(T);
+  const rhoS = sg * 1000;
+  let vs = (G * (rhoS - rho) * d * d) / (18 * mu);
+  let Re = (rho * vs * d) / mu;
+  if (Re > 1) {
+    for (let i = 0; i < 50; i++) {
+      const Cd = 24 / Re + 3 / Math.sqrt(Re) + 0.34;
+      const next = Math.sqrt((4 * G * (rhoS - rho) * d) / (3 * Cd * rho));
+      Re = (rho * next * d) / mu;
+      if (Math.abs(next - vs) < 1e-9) { vs = next; break; }
+      vs = next;
+    }
+  }
+  const regime = Re < 1 ? 'Stokes' : (Re < 1e4 ? 'Transition' : 'Newton');
+  return { vs: Math.max(vs, 0), Re, regime };
+}
+
+/* Parse "d(mm):% , d:% ..." into [{ d_mm, frac }] with fractions summing to 1 */
+export function parsePSD(text) {
+  const classes = String(text || '')
+    .split(/[,;\n]+/)
+    .map(s => s.split(':').map(Number))
+    .filter(([d, p]) => d > 0 && p > 0)
+    .map(([d, p]) => ({ d_mm: d, frac: p }));
+  const total = classes.reduce((s, c) => s + c.frac, 0);
+  classes.forEach(c => { c.frac /= total; });
+  return classes.sort((a, b) => a.d_mm - b.d_mm);
+}
+
+/* Parse column-test table: first row "z, t1, t2, ..." (minutes),
+   following rows "depth(m), %removed at t1, %removed at t2, ..." */
+export function parseColumnTest(text) {
+  const rows = String(text || '').trim().split(/\n+/).map(r => r.split(/[,\t ]+/).filter(Boolean));
+  if (rows.length < 2) return null;
+  const times = rows[0].slice(1).map(Number);
+  const ports = rows.slice(1)
+    .map(r => ({ z: Number(r[0]), R: r.slice(1).map(Number) }))
+    .filter(p => p.z > 0 && p.R.length === times.length)
+    .sort((a, b) => a.z - b.z);
+  if (!times.length || !ports.length) return null;
+  return { times, ports };
+}
+
+/* linear interpolation of y(x) through points (0,0),(xs,ys); clamped at the last point */
+function interp(xs, ys, x) {
+  let x0 = 0, y0 = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (x <= xs[i]) return y0 + (ys[i] - y0) * (x - x0) / ((xs[i] - x0) || 1);
+    x0 = xs[i]; y0 = ys[i];
+  }
+  return y0;
+}
+
+/* Type II removal from a settling column: at overflow rate vo the column
+   time is t* = H/vo; removal = depth-average of %removed at t* (trapezoid). */
+export function columnRemoval(column, vo) {
+  const H = column.ports[column.ports.length - 1].z;
+  const tStar = H / vo / 60; // min
+  const Rz = column.ports.map(p => Math.min(100, interp(column.times, p.R, tStar)));
+  let area = Rz[0] * column.ports[0].z; // surface taken equal to the top port
+  for (let i = 1; i < Rz.length; i++) {
+    area += (Rz[i] + Rz[i - 1]) / 2 * (column.ports[i].z - column.ports[i - 1].z);
+  }
+  return { H, tStar, Rz, removal: area / H / 100 };
+}
+
+export function calcSettling(inputs, SOR_m3_m2_day) {
+  const type = inputs.settlingType === 'flocculent' ? 'flocculent' : 'discrete';
+  const sg = Number(inputs.sg) || 2.65;
+  const T = isFinite(parseFloat(inputs.temp)) ? Number(inputs.temp) : 20;
+  const target = (Number(inputs.targetRemoval) || 0) / 100;
+  const vo = SOR_m3_m2_day / 86400; // m/s, Hazen critical velocity
+  const rho = waterDensity(T), mu = waterViscosity(T);
+
+  // critical (100 % removed) particle diameter from Stokes' law
+  const dc = vo > 0 ? Math.sqrt((18 * mu * vo) / (G * (sg * 1000 - rho))) : 0;
+
+  // Type I: each class removed in the ratio vs/vo (Hazen)
+  const classes = parsePSD(inputs.psd).map(c => {
+    const { vs, Re, regime } = settlingVelocity(c.d_mm / 1000, sg, T);
+    const removal = vo > 0 ? Math.min(1, vs / vo) : 0;
+    return { d_mm: c.d_mm, frac: c.frac, vs, Re, regime, removal };
+  });
+  let overall = classes.reduce((s, c) => s + c.frac * c.removal, 0);
+
+  // Type II: removal taken from the column test instead
+  let column = null;
+  if (type === 'flocculent') {
+    const data = parseColumnTest(inputs.columnTest);
+    column = data && vo > 0 ? columnRemoval(data, vo) : null;
+    overall = column ? column.removal : NaN;
+  }
+
+  return {
+    type, sg, tempC: T, rho_w: rho, mu, nu: mu / rho, vo, dc_mm: dc * 1000,
+    classes, column, overall, target,
+    meetsTarget: target > 0 ? overall >= target : null
+  };
+}
+
+/* ---------- Default inputs (SI) ---------- */
+export const DEFAULT_INPUTS = {
+  mode: 'design', tankL: '', tankB: '', tankDia: '',
+  flowBasis: 'population', capacity: '', population: 20000, pcd: 150, process: 'plain', tankType: 'horizontal',
+  detention: 2.5, depth: 3.5, sor: 20000, lbratio: 4,
+  units: 1, standby: 0, peakFactor: 1, designPeriod: 0, growthMethod: 'none',
+  census: '1991:12000, 2001:14500, 2011:17500, 2021:20000', maxL: '', maxB: '', maxDia: '',
+  settlingType: 'discrete', sg: 2.65, temp: 20, targetRemoval: 70,
+  roundPlan: 0.5, roundDepth: 0.1, freeboard: 0.5, wallThickness: 0.3, baseThickness: 0.3, steelRatio: 100,
+  solidsBasis: 'tss', influentSolids: 100, sludgeRemoval: '', sludgeSolids: 2, sludgeSG: 1.03,
+  psd: '0.005:10, 0.01:15, 0.02:20, 0.05:25, 0.1:20, 0.2:10',
+  columnTest: 'z, 10, 20, 40, 60, 90, 120\n0.5, 41, 50, 60, 67, 72, 73\n1.0, 19, 33, 45, 58, 62, 70\n1.5, 15, 31, 38, 54, 59, 63\n2.0, 15, 25, 36, 50, 55, 61\n2.5, 16, 22, 32, 48, 52, 59'
+};
+
+/* ---------- Input schema and validation ---------- */
+/* Each field has a label and a type: 'number', 'integer', 'enum' (values) or 'text'.
+   unit is the SI unit the value is entered in (a function of the inputs where it depends
+   on another choice). Numbers may carry gt (strictly above), min and max; required(inputs)
+   tells whether a blank is an error in the current mode / flow basis (blank optional
+   fields keep their "none" / default meaning). error(v, inputs) and warn(v, inputs) return
+   a message when a value fails a field-specific rule or computes but is probably a slip;
+   a third argument f(value) writes a value of the field the way the caller shows it. */
+const always = () => true;
+const designMode = i => i.mode !== 'check';
+const fromPopulation = i => i.flowBasis !== 'capacity';
+
+export const INPUT_SCHEMA = {
+  mode: { label: 'Mode', type: 'enum', values: ['design', 'check'] },
+  tankL: { label: 'Existing tank length', unit: 'm', type: 'number', gt: 0, required: i => i.mode === 'check' && i.tankType === 'horizontal' },
+  tankB: { label: 'Existing tank width', unit: 'm', type: 'number', gt: 0, required: i => i.mode === 'check' && i.tankType === 'horizontal' },
+  tankDia: { label: 'Existing tank diameter', unit: 'm', type: 'number', gt: 0, required: i => i.mode === 'check' && i.tankType !== 'horizontal' },
+  flowBasis: { label: 'Flow basis', type: 'enum', values: ['population', 'capacity'] },
+  capacity: { label: 'Plant capacity', unit: 'MLD', type: 'number', gt: 0, required: i => i.flowBasis === 'capacity' },
+  population: { label: 'Population', type: 'number', gt: 0, required: fromPopulation },
+  pcd: { label: 'Per-capita demand', unit: 'Lpcd', type: 'number', gt: 0, required: fromPopulation,
+    warn: v => (v < 40 || v > 500 ? 'Per-capita demand is unusually low or high — check the entry units.' : '') },
+  process: { label: 'Sedimentation type', type: 'enum', values: Object.keys(DESIGN_CRITERIA) },
+  tankType: { label: 'Tank type', type: 'enum', values: ['horizontal', 'vertical', 'radial', 'peripheral'] },
+  detention: { label: 'Detention time', unit: 'h', type: 'number', gt: 0, required: designMode },
+  depth: { label: 'Depth', unit: 'm', type: 'number', gt: 0, required: always },
+  sor: { label: 'Surface overflow rate', unit: 'L/m²/day', type: 'number', gt: 0, required: designMode,
+    warn: (v, i, f) => (v < 1000 ? `Surface overflow rate ${f(v)} is below ${f(1000)} — check the entry units.` : '') },
+  lbratio: { label: 'Preferred L:B', type: 'number', gt: 0, required: designMode },
+  units: { label: 'Duty units', type: 'integer', min: 1, max: MAX_UNITS, required: always },
+  standby: { label: 'Standby units', type: 'integer', min: 0, required: always },
+  peakFactor: { label: 'Peak factor', type: 'number', gt: 0, required: always,
+    warn: v => (v < 1 ? 'A peak factor below 1 designs for less than the average flow.' : '') },
+  designPeriod: { label: 'Design period', unit: 'years', type: 'number', min: 0 },
+  growthMethod: { label: 'Projection method', type: 'enum', values: ['none', 'arithmetic', 'geometric', 'incremental'] },
+  census: { label: 'Census records', type: 'text',
+    warn: (v, i) => (fromPopulation(i) && i.growthMethod !== 'none' && i.designPeriod > 0 && parseCensus(v).length < 2
+      ? 'At least two census records (year:population) are needed; the population is not projected.' : '') },
+  maxL: { label: 'Max length', unit: 'm', type: 'number', gt: 0 },
+  maxB: { label: 'Max width', unit: 'm', type: 'number', gt: 0 },
+  maxDia: { label: 'Max diameter', unit: 'm', type: 'number', gt: 0 },
+  settlingType: { label: 'Settling type', type: 'enum', values: ['discrete', 'flocculent'] },
+  sg: { label: 'Particle specific gravity', type: 'number', gt: 1, required: always },
+  temp: { label: 'Water temperature', unit: '°C', type: 'number', min: 0, max: 100, required: always,
+    warn: v => (v > 40 ? 'Water temperature is above the usual range for water treatment.' : '') },
+  targetRemoval: { label: 'Target removal', unit: '%', type: 'number', min: 0, max: 100 },
+  roundPlan: { label: 'Plan rounding', unit: 'm', type: 'number', min: 0 },
+  roundDepth: { label: 'Depth rounding', unit: 'm', type: 'number', min: 0 },
+  freeboard: { label: 'Freeboard', unit: 'm', type: 'number', min: 0 },
+  wallThickness: { label: 'Wall thickness', unit: 'm', type: 'number', min: 0 },
+  baseThickness: { label: 'Base thickness', unit: 'm', type: 'number', min: 0 },
+  steelRatio: { label: 'Reinforcement', unit: 'kg/m³', type: 'number', min: 0 },
+  solidsBasis: { label: 'Influent solids basis', type: 'enum', values: ['tss', 'turbidity'] },
+  influentSolids: { label: 'Influent TSS / turbidity', unit: i => (i.solidsBasis === 'turbidity' ? 'NTU' : 'mg/L'), type: 'number', min: 0, required: always },
+  sludgeRemoval: { label: 'Sludge removal', unit: '%', type: 'number', min: 0, max: 100 },
+  sludgeSolids: { label: 'Sludge solids', unit: '%', type: 'number', gt: 0, max: 100, required: always },
+  sludgeSG: { label: 'Sludge SG', type: 'number', min: 1, required: always },
+  psd: { label: 'Particle size distribution', type: 'text', warn: psdWarning },
+  columnTest: { label: 'Column test', type: 'text',
+    error: (v, i) => (i.settlingType === 'flocculent' && !parseColumnTest(v)
+      ? 'Column test needs a header row "z, t1, t2, …" and at least one depth row with a value per time.' : '') }
+};
+
+/* Type I removal needs size classes; fractions that do not add up to 100 % are scaled */
+function psdWarning(v, i) {
+  if (i.settlingType === 'flocculent') return '';
+  const total = String(v || '').split(/[,;\n]+/).map(s => s.split(':').map(Number))
+    .filter(([d, p]) => d > 0 && p > 0).reduce((s, [, p]) => s + p, 0);
+  if (!(total > 0)) return 'No particle size classes (d:%) given; the removal is taken as zero.';
+  return Math.abs(total - 100) > 0.5 ? `Size fractions add up to ${+total.toFixed(1)} %; they are scaled to 100 %.` : '';
+}
+
+const schemaUnit = (s, inputs) => (typeof s.unit === 'function' ? s.unit(inputs) : s.unit) || '';
+const formatSI = (v, field, inputs) => `${v} ${schemaUnit(INPUT_SCHEMA[field], inputs)}`.trim();
+
+/* Check raw inputs (form strings or JSON numbers) against INPUT_SCHEMA.
+   Missing fields take DEFAULT_INPUTS; numbers are coerced, blanks stay ''.
+   Limits in the messages are written by format(value, field, inputs): SI with the schema
+   unit by default, the pages pass one for the unit system the user typed in.
+   Returns { inputs, errors, warnings }, each issue { field, code, message }. */
+export function validateInputs(raw, { format = formatSI } = {}) {
+  const inputs = { ...DEFAULT_INPUTS }, errors = [], warnings = [];
+  Object.keys(raw || {}).forEach(k => {
+    if (INPUT_SCHEMA[k]) inputs[k] = raw[k];
+    else warnings.push({ field: k, code: 'unknown', message: `Unknown input "${k}" is ignored.` });
+  });
+
+  Object.entries(INPUT_SCHEMA).forEach(([field, s]) => {
+    const fail = (code, message) => errors.push({ field, code, message });
+    const f = x => format(x, field, inputs);
+    const v = inputs[field];
+    if (s.type === 'enum') {
+      if (!s.values.includes(v)) return fail('enum', `${s.label} must be one of: ${s.values.join(', ')}.`);
+    } else if (s.type === 'text') {
+      inputs[field] = v === null || v === undefined ? '' : String(v);
+    } else if (v === '' || v === null || v === undefined || String(v).trim() === '') {
+      inputs[field] = '';
+      if (s.required && s.required(inputs)) fail('required', `${s.label} is required.`);
+      return;
+    } else {
+      const n = Number(v);
+      if (typeof v === 'boolean' || !isFinite(n)) return fail('type', `${s.label} must be a number.`);
+      inputs[field] = n;
+      if (s.type === 'integer' && !Number.isInteger(n)) return fail('integer', `${s.label} must be a whole number.`);
+      if (s.gt !== undefined && !(n > s.gt)) return fail('range', `${s.label} must be greater than ${f(s.gt)}.`);
+      if (s.min !== undefined && n < s.min) return fail('range', `${s.label} must be at least ${f(s.min)}.`);
+      if (s.max !== undefined && n > s.max) return fail('range', `${s.label} must not exceed ${f(s.max)}.`);
+    }
+    const error = s.error && s.error(inputs[field], inputs, f);
+    if (error) return fail('invalid', error);
+    const warning = s.warn && s.warn(inputs[field], inputs, f);
+    if (warning) warnings.push({ field, code: 'check', message: warning });
+  });
+
+  return { inputs, errors, warnings };
+}
+
+/* Validate, then design when there are no errors: { inputs, errors, warnings, design | null } */
+export function runDesign(raw, options) {
+  const { inputs, errors, warnings } = validateInputs(raw, options);
+  return { inputs, errors, warnings, design: errors.length ? null : calcDesignFromInputs(inputs) };
+}
@@ -1,73 +1,139 @@
 /* script.js
   Shared logic for index, result, diagram, visualize pages.
   - Uses localStorage to pass input and computed design between pages.
-  - Renders 2D plan view onto <canvas id="planCanvas">
+  - Renders 2D plan view onto <canvas id="planCanvas"> and section onto <canvas id="sectionCanvas">
+    from one metre-based drawing description, also exported as SVG / DXF.
   - Initializes Three.js in container #threeContainer and updates geometry to match computed dims.
   - Combined PNG download merges 2D canvas + 3D renderer image into single white canvas and downloads.
+  - PDF design report (jsPDF) with inputs, calculation steps and the same diagram images.
+  - The calculations themselves live in design.js (ES module, no DOM); this file is a module too.
 */
+import {
+  runDesign, DEFAULT_INPUTS, INPUT_SCHEMA, DESIGN_CRITERIA, processKey, calcGeometry, flowSection, clamp,
+  settlingVelocity, billOfQuantities, DEFAULT_RATES, WALL_THICKNESS, BASE_THICKNESS, EXCAVATION_MARGIN,
+  SLUDGE_ZONE_DEPTH, FREEBOARD, CAMP_K, DARCY_F, RE_LAMINAR, RE_MAX, FR_MIN, HOPPER_WALL_ANGLE
+} from './design.js';
 
 /* ---------- Utility helpers ---------- */
 const $ = id => document.getElementById(id);
 const fmt = (n, d = 2) => (isFinite(n) ? Number(n).toLocaleString(undefined, { maximumFractionDigits: d }) : '--');
 
-/* ---------- Design calculations (textbook style) ---------- */
-function calcDesignFromInputs(inputs) {
-  // inputs: { population, pcd, process, tankType, detention, depth, sor, lbratio }
-  const P = Number(inputs.population) || 0;
-  const pcd = Number(inputs.pcd) || 150; // Lpcd
-  const detention = Number(inputs.detention) || 2.5;
-  const depth = Number(inputs.depth) || 3.5;
-  const sor_L = Number(inputs.sor) || 20000; // L / m2 / day
-  const tankType = inputs.tankType || 'horizontal';
-  const lbr = Number(inputs.lbratio) || 4;
-
-  // Flows
-  const Q_day_m3 = (P * pcd) / 1000; // m3/day
-  const Q_m3_s = Q_day_m3 / 86400;   // m3/s
-
-  // SOR convert
-  const SOR_m3_m2_day = sor_L / 1000; // m3/m2/day
-
-  // Plan area by overflow
-  const planArea = (SOR_m3_m2_day > 0) ? (Q_day_m3 / SOR_m3_m2_day) : 0; // m2
-
-  // Volumes
-  const V_det = Q_m3_s * detention * 3600; // m3 (by detention)
-  const V_area = planArea * depth;         // m3 (by area x depth)
-  const controllingVolume = Math.max(V_det, V_area);
-
-  // Geometry
-  let L = 0, B = 0, Dia = 0;
-  if (tankType === 'horizontal') {
-    L = Math.sqrt(planArea * lbr) || 0;
-    B = planArea / (L || 1) || 0;
-  } else {
-    Dia = Math.sqrt((4 * planArea) / Math.PI) || 0;
-  }
+/* ---------- Unit systems: calculations stay in SI, conversion happens on entry and display ---------- */
+/* kind: { SI: [label], US: [label, factor] } — US value = SI value × factor (+ offset) */
+const UNIT_KINDS = {
+  length:    { SI: ['m'],         US: ['ft', 3.28084] },
+  area:      { SI: ['m²'],        US: ['ft²', 10.7639] },
+  volume:    { SI: ['m³'],        US: ['gal', 264.172] },
+  bulk:      { SI: ['m³'],        US: ['yd³', 1.30795] },
+  weight:    { SI: ['kg'],        US: ['lb', 2.20462] },
+  steel:     { SI: ['kg/m³'],     US: ['lb/yd³', 1.68555] },
+  flow:      { SI: ['m³/day'],    US: ['MGD', 2.64172e-4] },
+  flowS:     { SI: ['m³/s'],      US: ['ft³/s', 35.3147] },
+  smallFlow: { SI: ['m³/day'],    US: ['gal/day', 264.172] },
+  capacity:  { SI: ['MLD'],       US: ['MGD', 0.264172] },
+  pcd:       { SI: ['Lpcd'],      US: ['gpcd', 0.264172] },
+  sor:       { SI: ['m³/m²/day'], US: ['gpd/ft²', 24.5424] },
+  sorInput:  { SI: ['L/m²/day'],  US: ['gpd/ft²', 0.0245424] },
+  weir:      { SI: ['m³/m/day'],  US: ['gpd/ft', 80.5196] },
+  velocity:  { SI: ['m/min'],     US: ['ft/min', 3.28084] },
+  velocityH: { SI: ['m/h'],       US: ['ft/h', 3.28084] },
+  mass:      { SI: ['kg/day'],    US: ['lb/day', 2.20462] },
+  density:   { SI: ['kg/m³'],     US: ['lb/ft³', 0.062428] },
+  temp:      { SI: ['°C'],        US: ['°F', 1.8, 32] }
+};
+const unitSystem = () => (localStorage.getItem('sts_units') === 'US' ? 'US' : 'SI');
+const unitOf = kind => (UNIT_KINDS[kind] ? UNIT_KINDS[kind][unitSystem()][0] : '');
+function toUnits(v, kind) {
+  const u = UNIT_KINDS[kind] && UNIT_KINDS[kind][unitSystem()];
+  return u && u.length > 1 ? v * u[1] + (u[2] || 0) : v;
+}
+function fromUnits(v, kind) {
+  const u = UNIT_KINDS[kind] && UNIT_KINDS[kind][unitSystem()];
+  return u && u.length > 1 ? (v - (u[2] || 0)) / u[1] : v;
+}
+// "12.5 ft" in the chosen system
+const fmtU = (v, kind, d = 2) => `${fmt(toUnits(v, kind), d)} ${unitOf(kind)}`.trim();
 
-  return {
-    P, pcd, Q_day_m3, Q_m3_s, SOR_m3_m2_day: SOR_m3_m2_day,
-    planArea, V_det, V_area, controllingVolume, L, B, Dia, depth, detention, tankType, lbr
-  };
+/* geometry of a design; designs saved before the weir levels were part of it are recomputed */
+const tankGeometry = d => (d.geometry && d.geometry.outlet.weirDepth !== undefined ? d.geometry : calcGeometry(d));
+
+/* bill of quantities rates as edited on the result page, per SI unit (m³, kg) */
+function rateTable() {
+  return { ...DEFAULT_RATES, ...JSON.parse(localStorage.getItem('sts_rates') || '{}') };
 }
 
 /* ---------- Index page wiring ---------- */
+/* read / write the input form (element ids match the input keys) */
+/* Inputs are entered in the chosen unit system but stored and calculated in SI.
+   fillInputs remembers the SI value behind each converted field, so switching
+   systems back and forth does not accumulate rounding. */
+const INPUT_KINDS = { tankL: 'length', tankB: 'length', tankDia: 'length', capacity: 'capacity', pcd: 'pcd', depth: 'length', sor: 'sorInput', maxL: 'length', maxB: 'length', maxDia: 'length', temp: 'temp',
+  roundPlan: 'length', roundDepth: 'length', freeboard: 'length', wallThickness: 'length', baseThickness: 'length', steelRatio: 'steel' };
+
+/* an input as the reports show it: schema label, value in the chosen unit system */
+const inputLabel = k => (INPUT_SCHEMA[k] ? INPUT_SCHEMA[k].label : k);
+function inputText(k, inputs) {
+  const v = inputs[k], s = INPUT_SCHEMA[k] || {};
+  if (v === undefined || v === null || v === '') return '';
+  if (k === 'process' && DESIGN_CRITERIA[v]) return DESIGN_CRITERIA[v].label;
+  if (s.type !== 'number' && s.type !== 'integer' || !isFinite(v)) return String(v).replace(/\n/g, ' / ');
+  if (INPUT_KINDS[k]) return fmtU(Number(v), INPUT_KINDS[k], 3);
+  return `${fmt(v, 4)} ${(typeof s.unit === 'function' ? s.unit(inputs) : s.unit) || ''}`.trim();
+}
+// validation messages quote limits the way the form shows them
+const shownValue = (v, k, inputs) => inputText(k, { ...inputs, [k]: v });
+
+function readInputs() {
+  const inputs = {};
+  Object.keys(DEFAULT_INPUTS).forEach(k => {
+    const el = $(k);
+    if (!el) return;
+    if (!INPUT_KINDS[k] || el.value === '' || !isFinite(el.value)) inputs[k] = el.value;
+    else if (el.value === el.dataset.shown) inputs[k] = Number(el.dataset.si);
+    else inputs[k] = +fromUnits(Number(el.value), INPUT_KINDS[k]).toPrecision(8);
+  });
+  return inputs;
+}
+function fillInputs(inputs) {
+  Object.keys(inputs).forEach(k => {
+    const el = $(k);
+    if (!el) return;
+    const v = inputs[k];
+    if (!INPUT_KINDS[k] || v === '' || !isFinite(v)) { el.value = v; return; }
+    el.value = +toUnits(Number(v), INPUT_KINDS[k]).toPrecision(6);
+    el.dataset.si = v; el.dataset.shown = el.value;
+  });
+}
+
+/* validation messages under the fields they concern; editing a field clears its message */
+function showInputIssues(errors, warnings) {
+  document.querySelectorAll('#inputForm .field-msg').forEach(el => el.remove());
+  document.querySelectorAll('#inputForm .invalid, #inputForm .warned').forEach(el => el.classList.remove('invalid', 'warned'));
+  [...errors.map(e => ({ ...e, level: 'error' })), ...warnings.map(w => ({ ...w, level: 'warn' }))].forEach(m => {
+    const el = $(m.field);
+    if (!el) return;
+    el.classList.add(m.level === 'error' ? 'invalid' : 'warned');
+    el.insertAdjacentHTML('afterend', `<div class="field-msg ${m.level}" data-for="${m.field}">${m.message}</div>`);
+  });
+}
+
+/* unit labels on the page: <span data-kind="length"></span> */
+function applyUnitLabels() {
+  document.querySelectorAll('[data-kind]').forEach(el => { el.textContent = unitOf(el.dataset.kind); });
+}
+
 function indexPageInit() {
   const btnCompute = $('btnCompute'), btnReset = $('btnReset'), btnViewDiag = $('btnViewDiagram');
 
   btnCompute?.addEventListener('click', () => {
-    const inputs = {
-      population: $('population').value,
-      pcd: $('pcd').value,
-      process: $('process').value,
-      tankType: $('tankType').value,
-      detention: $('detention').value,
-      depth: $('depth').value,
-      sor: $('sor').value,
-      lbratio: $('lbratio').value
-    };
-    // compute design
-    const design = calcDesignFromInputs(inputs);
+    // validate against the schema; errors stop the calculation, warnings are shown with the results
+    const { inputs, errors, warnings, design } = runDesign(readInputs(), { format: shownValue });
+    showInputIssues(errors, warnings);
+    if (errors.length) {
+      $('resultsBox').innerHTML = `<div class="field-msg error">${errors.length} input${errors.length > 1 ? 's need' : ' needs'} attention — see the highlighted fields.</div>`;
+      return;
+    }
+    design.warnings = warnings;
     // store both inputs and design in localStorage
     localStorage.setItem('sts_inputs', JSON.stringify(inputs));
     localStorage.setItem('sts_design', JSON.stringify(design));
@@ -79,17 +145,13 @@ function indexPageInit() {
 
   btnReset?.addEventListener('click', () => {
     if (!confirm('Reset inputs to defaults?')) return;
-    $('population').value = 20000;
-    $('pcd').value = 150;
-    $('process').value = 'Plain Sedimentation (gravity)';
-    $('tankType').value = 'horizontal';
-    $('detention').value = 2.5;
-    $('depth').value = 3.5;
-    $('sor').value = 20000;
-    $('lbratio').value = 4;
+    fillInputs(DEFAULT_INPUTS);
+    showInputIssues([], []);
+    $('flowBasis')?.dispatchEvent(new Event('change'));
     $('resultsBox').innerHTML = '<div class="muted">No calculation yet. Click <strong>Compute & Show Results</strong>.</div>';
     $('btnViewDiagram').style.display = 'none';
     $('btnBack').style.display = 'none';
+    // saved projects (IndexedDB) are kept; only the working copy is cleared
     localStorage.removeItem('sts_inputs');
     localStorage.removeItem('sts_design');
   });
@@ -99,30 +161,504 @@ function indexPageInit() {
     window.location.href = 'result.html';
   });
 
-  // If design already present (returning user), show it
+  // unit system, mode and flow basis switches; [data-mode] / [data-basis] blocks follow the selects
+  const sysSel = $('unitSystem'), basisSel = $('flowBasis'), modeSel = $('mode');
+  const showBasis = () => document.querySelectorAll('[data-basis], [data-mode]').forEach(el => {
+    const on = (!el.dataset.basis || el.dataset.basis === basisSel.value) && (!el.dataset.mode || !modeSel || el.dataset.mode === modeSel.value);
+    el.style.display = on ? '' : 'none';
+  });
+  if (sysSel) {
+    sysSel.value = unitSystem();
+    sysSel.addEventListener('change', () => {
+      const inputs = readInputs();                   // SI, read in the old system
+      localStorage.setItem('sts_units', sysSel.value);
+      fillInputs(inputs);
+      applyUnitLabels();
+      const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
+      if (design) showResultsInline(design);
+    });
+  }
+  $('inputForm')?.addEventListener('input', e => {
+    e.target.classList.remove('invalid', 'warned');
+    document.querySelectorAll(`.field-msg[data-for="${e.target.id}"]`).forEach(el => el.remove());
+  });
+  basisSel?.addEventListener('change', showBasis);
+  modeSel?.addEventListener('change', showBasis);
+  applyUnitLabels();
+
+  // If inputs/design already present (returning user), show them
+  const existingInputs = JSON.parse(localStorage.getItem('sts_inputs') || 'null');
+  fillInputs(existingInputs ? { ...DEFAULT_INPUTS, ...existingInputs, process: processKey(existingInputs.process) } : DEFAULT_INPUTS);
+  if (basisSel) showBasis();
   const existingDesign = JSON.parse(localStorage.getItem('sts_design') || 'null');
   if (existingDesign) {
     showResultsInline(existingDesign);
     $('btnViewDiagram').style.display = 'inline-block';
     $('btnBack').style.display = 'inline-block';
   }
+
+  initProjectPanel();
+}
+
+/* ---------- Saved projects (IndexedDB) ---------- */
+/* A project is { id, name, created, updated, variants: [{ name, saved, inputs, design }] }.
+   sts_inputs / sts_design in localStorage stay the working copy the other pages read;
+   sts_project remembers which project is open. */
+const PROJECT_DB = 'sts_projects', PROJECT_STORE = 'projects', PROJECT_FORMAT = 'sts-project';
+
+function openProjectDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(PROJECT_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(PROJECT_STORE, { keyPath: 'id', autoIncrement: true });
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();   // don't hold up an upgrade in another tab
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    // another tab still has an older version of the database open
+    req.onblocked = () => reject(new Error('The project database is in use by another tab — close it and try again.'));
+  });
+}
+async function projectStore(mode, fn) {
+  const db = await openProjectDB();
+  return new Promise((resolve, reject) => {
+    let tx, req;
+    try {
+      tx = db.transaction(PROJECT_STORE, mode);
+      req = fn(tx.objectStore(PROJECT_STORE));
+    } catch (e) { db.close(); return reject(e); }
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    // aborts without a request error (quota exceeded, tab closing) fire only this
+    tx.onabort = () => { db.close(); reject(tx.error || new Error('Project database transaction aborted.')); };
+  });
+}
+const listProjects = () => projectStore('readonly', s => s.getAll());
+const getProject = id => projectStore('readonly', s => s.get(id));
+const deleteProject = id => projectStore('readwrite', s => s.delete(id));
+function saveProject(project) {
+  project.updated = new Date().toISOString();
+  return projectStore('readwrite', s => s.put(project));   // resolves to the project id
+}
+function newProject(name) {
+  const now = new Date().toISOString();
+  return { name, created: now, updated: now, variants: [] };
+}
+const currentProjectId = () => Number(localStorage.getItem('sts_project')) || null;
+
+/* Shareable JSON: designs are recomputed on import so files from older versions stay consistent;
+   variants are validated like the form, and a file with any invalid variant is rejected */
+function projectToJSON(project) {
+  const { name, created, variants } = project;
+  return JSON.stringify({ format: PROJECT_FORMAT, version: 1, name, created, variants: variants.map(({ name, saved, inputs }) => ({ name, saved, inputs })) }, null, 2);
+}
+function projectFromJSON(text) {
+  const data = JSON.parse(text);
+  if (data.format !== PROJECT_FORMAT || !Array.isArray(data.variants)) throw new Error('Not a sedimentation tank project file.');
+  const project = newProject(String(data.name || 'Imported project'));
+  if (data.created) project.created = data.created;
+  const problems = [];
+  project.variants = data.variants.map((v, i) => {
+    const name = String((v && v.name) || `Variant ${i + 1}`);
+    if (!v || typeof v.inputs !== 'object' || Array.isArray(v.inputs)) {
+      problems.push(`${name}: no inputs`);
+      return null;
+    }
+    const { inputs, errors, design } = runDesign({ ...v.inputs, process: processKey(v.inputs.process) }, { format: shownValue });
+    if (errors.length) problems.push(`${name}: ${errors.map(e => e.message).join(' ')}`);
+    return { name, saved: v.saved || project.created, inputs, design };
+  });
+  if (problems.length) throw new Error(`invalid inputs —\n${problems.join('\n')}`);
+  return project;
+}
+
+async function initProjectPanel() {
+  const select = $('projectSelect'), list = $('variantList');
+  if (!select || !window.indexedDB) return;
+
+  const loadVariant = v => {
+    fillInputs({ ...DEFAULT_INPUTS, ...v.inputs });
+    $('flowBasis')?.dispatchEvent(new Event('change'));
+    localStorage.setItem('sts_inputs', JSON.stringify(v.inputs));
+    localStorage.setItem('sts_design', JSON.stringify(v.design));
+    showResultsInline(v.design);
+    $('btnViewDiagram').style.display = 'inline-block';
+    $('btnBack').style.display = 'inline-block';
+  };
+
+  // IndexedDB can be missing or fail to open (private mode, blocked upgrade): say so in the panel
+  const report = err => {
+    list.innerHTML = `<div class="field-msg error">Saved projects are unavailable: ${xmlEscape(err && err.message || String(err))}</div>`;
+  };
+  const guard = fn => (...args) => fn(...args).catch(report);
+
+  const render = guard(async () => {
+    const projects = await listProjects();
+    let id = currentProjectId();
+    if (!projects.some(p => p.id === id)) id = projects.length ? projects[0].id : null;
+    if (id) localStorage.setItem('sts_project', id); else localStorage.removeItem('sts_project');
+    select.innerHTML = projects.length
+      ? projects.map(p => `<option value="${p.id}"${p.id === id ? ' selected' : ''}>${xmlEscape(p.name)} (${p.variants.length})</option>`).join('')
+      : '<option value="">No saved projects</option>';
+    const project = projects.find(p => p.id === id);
+    list.innerHTML = project && project.variants.length
+      ? project.variants.map((v, i) => `<div class="variant"><span>${xmlEscape(v.name)}<br><small class="muted">${new Date(v.saved).toLocaleString()} • ${fmtU(v.design.planArea, 'area', 1)} × ${v.design.plant ? v.design.plant.units : 1}</small></span>
+          <button type="button" class="ghost" data-load="${i}">Load</button><button type="button" class="ghost" data-del="${i}" title="Delete variant">✕</button></div>`).join('')
+      : '<div class="muted">Compute a design, name it and click <strong>Save variant</strong>.</div>';
+    $('btnCompare').disabled = !project || project.variants.length < 2;
+  });
+
+  select.addEventListener('change', () => { localStorage.setItem('sts_project', select.value); render(); });
+
+  $('btnNewProject')?.addEventListener('click', guard(async () => {
+    const name = prompt('Project name:', 'New project');
+    if (!name) return;
+    localStorage.setItem('sts_project', await saveProject(newProject(name)));
+    render();
+  }));
+
+  $('btnSaveVariant')?.addEventListener('click', guard(async () => {
+    const { inputs, errors, warnings, design } = runDesign(readInputs(), { format: shownValue });
+    showInputIssues(errors, warnings);
+    if (errors.length) return;
+    let project = currentProjectId() && await getProject(currentProjectId());
+    if (!project) {
+      const name = prompt('Project name:', 'New project');
+      if (!name) return;
+      project = newProject(name);
+    }
+    const name = $('variantName').value.trim() || `Variant ${project.variants.length + 1}`;
+    const variant = { name, saved: new Date().toISOString(), inputs, design };
+    const existing = project.variants.findIndex(v => v.name === name);
+    if (existing >= 0) {
+      if (!confirm(`Overwrite variant "${name}"?`)) return;
+      project.variants[existing] = variant;
+    } else project.variants.push(variant);
+    localStorage.setItem('sts_project', await saveProject(project));
+    $('variantName').value = '';
+    loadVariant(variant);
+    render();
+  }));
+
+  list.addEventListener('click', guard(async e => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const project = await getProject(currentProjectId());
+    if (btn.dataset.load !== undefined) loadVariant(project.variants[+btn.dataset.load]);
+    if (btn.dataset.del !== undefined) {
+      const v = project.variants[+btn.dataset.del];
+      if (!confirm(`Delete variant "${v.name}"?`)) return;
+      project.variants.splice(+btn.dataset.del, 1);
+      await saveProject(project);
+      render();
+    }
+  }));
+
+  $('btnDeleteProject')?.addEventListener('click', guard(async () => {
+    const project = currentProjectId() && await getProject(currentProjectId());
+    if (!project || !confirm(`Delete project "${project.name}" and all its variants?`)) return;
+    await deleteProject(project.id);
+    localStorage.removeItem('sts_project');
+    render();
+  }));
+
+  $('btnExportProject')?.addEventListener('click', guard(async () => {
+    const project = currentProjectId() && await getProject(currentProjectId());
+    if (!project) return alert('No project selected.');
+    downloadBlob(projectToJSON(project), `${project.name.replace(/[^\w-]+/g, '_')}.json`, 'application/json');
+  }));
+
+  $('btnImportProject')?.addEventListener('click', () => $('importFile').click());
+  $('importFile')?.addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      localStorage.setItem('sts_project', await saveProject(projectFromJSON(await file.text())));
+      render();
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
+  });
+
+  $('btnCompare')?.addEventListener('click', () => { window.location.href = 'result.html#compare'; });
+
+  render();
 }
 
 function showResultsInline(design) {
   // render short results into resultsBox on index page
   if (!design) return;
   const lines = [];
-  lines.push(`<strong>Population:</strong> ${design.P.toLocaleString()} persons`);
-  lines.push(`<strong>Daily water (Q):</strong> ${fmt(design.Q_day_m3,2)} m³/day (${fmt(design.Q_m3_s,6)} m³/s)`);
-  lines.push(`<strong>Plan area (A):</strong> ${fmt(design.planArea,2)} m²`);
-  lines.push(`<strong>Depth (D):</strong> ${fmt(design.depth,2)} m`);
-  lines.push(`<strong>V_det:</strong> ${fmt(design.V_det,2)} m³  |  <strong>V_area:</strong> ${fmt(design.V_area,2)} m³`);
+  if (design.mode === 'check') lines.push('<strong>Check of an existing tank</strong> at the current flow');
+  if (design.P !== null) lines.push(`<strong>Population:</strong> ${design.P.toLocaleString()} persons`);
+  else lines.push(`<strong>Plant capacity:</strong> ${fmtU(design.plant.capacity, 'capacity', 2)}`);
+  if (design.plant) {
+    const pl = design.plant;
+    lines.push(`<strong>Units:</strong> ${pl.units} duty + ${pl.standby} standby  |  <strong>Peak flow:</strong> ${fmtU(pl.Q_peak_day, 'flow', 2)}`);
+  }
+  lines.push(`<strong>Daily water per unit (Q):</strong> ${fmtU(design.Q_day_m3, 'flow', 2)} (${fmtU(design.Q_m3_s, 'flowS', 6)})`);
+  lines.push(`<strong>Plan area (A):</strong> ${fmtU(design.planArea, 'area', 2)}`);
+  lines.push(`<strong>Depth (D):</strong> ${fmtU(design.depth, 'length', 2)}`);
+  lines.push(`<strong>V_det:</strong> ${fmtU(design.V_det, 'volume', 2)}  |  <strong>V_area:</strong> ${fmtU(design.V_area, 'volume', 2)}`);
   if (design.tankType === 'horizontal') {
-    lines.push(`<strong>Dims (L×B×D):</strong> ${fmt(design.L,2)} m × ${fmt(design.B,2)} m × ${fmt(design.depth,2)} m`);
+    lines.push(`<strong>Dims (L×B×D):</strong> ${fmtU(design.L, 'length', 2)} × ${fmtU(design.B, 'length', 2)} × ${fmtU(design.depth, 'length', 2)}${roundedFrom(design)}`);
   } else {
-    lines.push(`<strong>Dims (Ø×D):</strong> Ø = ${fmt(design.Dia,2)} m × ${fmt(design.depth,2)} m`);
+    lines.push(`<strong>Dims (Ø×D):</strong> Ø = ${fmtU(design.Dia, 'length', 2)} × ${fmtU(design.depth, 'length', 2)}${roundedFrom(design)}`);
+  }
+  if (design.geometry) lines.push(`<strong>Weir length:</strong> ${fmtU(design.weirLength, 'length', 2)}  |  <strong>Hopper:</strong> ${design.geometry.hopper.count} × ${fmtU(design.geometry.hopper.depth, 'length', 2)} deep`);
+  if (design.settling) lines.push(settlingSummary(design.settling));
+  if (design.sludge) lines.push(`<strong>Sludge:</strong> ${fmtU(design.sludge.volumePerDay, 'smallFlow', 2)} per unit  |  <strong>Desludge every</strong> ${fmt(design.sludge.interval,1)} days`);
+  if (design.compliance) lines.push(complianceSummary(design.compliance));
+  if (design.hydraulics) lines.push(`<strong>Hydraulics:</strong> ${design.hydraulics.checks.map(c => `${c.label.split(' ')[0]} ${flag(c.status)}`).join(' &nbsp; ')}`);
+  if (design.capacity) lines.push(capacitySummary(design));
+  if (design.quantities) {
+    const boq = billOfQuantities(design, rateTable());
+    lines.push(`<strong>Concrete:</strong> ${fmtU(design.quantities.concrete.total * boq.tanks, 'bulk', 1)}  |  <strong>Estimate:</strong> ${boq.currency} ${fmt(boq.total, 0)}`);
+  }
+  const warned = (design.warnings || []).map(w => `<div class="field-msg warn">${w.message}</div>`).join('');
+  $('resultsBox').innerHTML = warned + lines.join('<br>');
+}
+
+/* one-line removal verdict (index page) */
+function settlingSummary(s) {
+  const kind = s.type === 'flocculent' ? 'Type II, column test' : 'Type I, Hazen';
+  let line = `<strong>Removal (${kind}):</strong> ${fmt(s.overall * 100, 1)} %`;
+  if (s.type === 'discrete') line += `  |  <strong>d<sub>c</sub>:</strong> ${fmt(s.dc_mm * 1000, 1)} µm`;
+  if (s.meetsTarget !== null) line += `  |  target ${fmt(s.target * 100, 0)} % — <strong>${s.meetsTarget ? 'met' : 'NOT met'}</strong>`;
+  return line;
+}
+
+/* per-class settling table (result page) */
+function settlingTable(s) {
+  const out = [];
+  out.push(`<p><strong>Water at ${fmtU(s.tempC, 'temp', 1)}:</strong> ρ = ${fmtU(s.rho_w, 'density', 1)}, ν = ${fmt(s.nu * 1e6,3)} mm²/s; particle SG = ${fmt(s.sg,2)}</p>`);
+  out.push(`<p><strong>Hazen overflow velocity (v<sub>o</sub> = SOR):</strong> ${fmtU(s.vo * 3600, 'velocityH', 3)} — critical particle d<sub>c</sub> = ${fmt(s.dc_mm * 1000,1)} µm</p>`);
+  if (s.classes.length) {
+    const rows = s.classes.map(c => `<tr><td>${fmt(c.d_mm * 1000,1)}</td><td>${fmt(c.frac * 100,1)}</td><td>${fmt(toUnits(c.vs * 3600, 'velocityH'),4)}</td><td>${fmt(c.Re,4)}</td><td>${c.regime}</td><td>${fmt(c.removal * 100,1)}</td></tr>`);
+    out.push(`<table class="data-table"><thead><tr><th>d (µm)</th><th>Mass %</th><th>v<sub>s</sub> (${unitOf('velocityH')})</th><th>Re</th><th>Regime</th><th>Removed %${s.type === 'flocculent' ? ' (Type I)' : ''}</th></tr></thead><tbody>${rows.join('')}</tbody></table>`);
+  }
+  if (s.column) {
+    out.push(`<p><strong>Column test (Type II):</strong> H = ${fmtU(s.column.H, 'length', 2)}, t* = H/v<sub>o</sub> = ${fmt(s.column.tStar,1)} min, port removals ${s.column.Rz.map(r => fmt(r,1) + ' %').join(', ')}</p>`);
+  } else if (s.type === 'flocculent') {
+    out.push('<p><strong>Column test (Type II):</strong> no valid column data entered</p>');
+  }
+  let verdict = `<p><strong>Overall removal:</strong> ${fmt(s.overall * 100,1)} %`;
+  if (s.meetsTarget !== null) verdict += ` — target ${fmt(s.target * 100,0)} % <strong>${s.meetsTarget ? 'met' : 'NOT met'}</strong>`;
+  out.push(verdict + '</p>');
+  return out.join('');
+}
+
+/* plant-level flows and unit count (result page) */
+function plantSummary(d) {
+  const pl = d.plant, pr = pl.projection, out = [];
+  if (pl.P === null) {
+    out.push(`<p><strong>Plant capacity:</strong> ${fmtU(pl.capacity, 'capacity', 2)} (entered directly)</p>`);
+  } else if (pr.method !== 'none') {
+    out.push(`<p><strong>Design population:</strong> ${pl.P.toLocaleString()} persons (${pr.method} increase method, ${pl.P0.toLocaleString()} projected over ${pl.designPeriod} years)</p>`);
+  } else {
+    out.push(`<p><strong>Design population:</strong> ${pl.P.toLocaleString()} persons</p>`);
+  }
+  out.push(`<p><strong>Total Daily Water Requirement:</strong> ${fmtU(pl.Q_avg_day, 'flow', 2)}${pl.P === null ? '' : ` (${fmt(pl.P,0)} × ${fmtU(d.pcd, 'pcd', 1)})`}</p>`);
+  out.push(`<p><strong>Peak ${d.mode === 'check' ? '' : 'design '}flow:</strong> ${fmtU(pl.Q_peak_day, 'flow', 2)} (peak factor ${fmt(pl.peakFactor,2)})</p>`);
+  let units = `<p><strong>Units${d.mode === 'check' ? ' (existing)' : ''}:</strong> ${pl.units} duty + ${pl.standby} standby = ${pl.totalUnits} tanks`;
+  if (pl.limitsExceeded) units += ` (increased from ${pl.unitsRequested}; at ${pl.units} units each tank still exceeds the maximum size)`;
+  else if (pl.limitsGoverned) units += ` (increased from ${pl.unitsRequested} to keep within the maximum tank size)`;
+  out.push(units + '</p>');
+  out.push(`<p><strong>Plant totals:</strong> plan area ${fmtU(pl.totalPlanArea, 'area', 2)}, volume ${fmtU(pl.totalVolume, 'volume', 2)} (incl. standby)</p>`);
+  return out.join('');
+}
+
+/* inlet / outlet / floor / hopper description (result page) */
+function geometryLines(d) {
+  const g = d.geometry, out = [];
+  const inlet = g.inlet, outlet = g.outlet;
+  let inletText = `${inlet.type} — ${inlet.location}`;
+  if (inlet.dia) inletText += `, Ø ${fmtU(inlet.dia, 'length', 2)} × ${fmtU(inlet.depth, 'length', 2)} deep`;
+  if (inlet.channelWidth) inletText += `, channel ${fmtU(inlet.channelWidth, 'length', 2)} wide, skirt ${fmtU(inlet.skirtDepth, 'length', 2)} deep`;
+  if (inlet.baffleOffset) inletText += `, baffle ${fmtU(inlet.baffleOffset, 'length', 2)} from wall, ${fmtU(inlet.baffleDepth, 'length', 2)} deep`;
+  let outletText = `${outlet.type} — ${outlet.location}, launder ${fmtU(outlet.launderWidth, 'length', 2)} wide`;
+  if (outlet.weirDia) outletText += `, weir Ø ${fmtU(outlet.weirDia, 'length', 2)}`;
+  if (outlet.dia) outletText += `, launder Ø ${fmtU(outlet.dia, 'length', 2)}`;
+  if (outlet.scumOffset) outletText += `; scum baffle ${fmtU(outlet.scumOffset, 'length', 2)} ahead of the weir, ${fmtU(outlet.scumDepth, 'length', 2)} deep`;
+  out.push(`<p><strong>Inlet:</strong> ${inletText}</p>`);
+  out.push(`<p><strong>Outlet:</strong> ${outletText}</p>`);
+  out.push(`<p><strong>Weir length:</strong> ${fmtU(g.weirLength, 'length', 2)}</p>`);
+  out.push(`<p><strong>Floor slope:</strong> 1 in ${fmt(1 / g.floorSlope,0)} (drop ${fmtU(g.floorDrop, 'length', 2)} towards the hopper)</p>`);
+  const h = g.hopper;
+  out.push(`<p><strong>Sludge hopper:</strong> ${h.count} × ${h.shape}, top ${fmtU(h.top, 'length', 2)}, bottom ${fmtU(h.bottom, 'length', 2)}, ${fmtU(h.depth, 'length', 2)} deep (${HOPPER_WALL_ANGLE}° walls)</p>`);
+  return out.join('');
+}
+
+/* sludge production, storage and desludging (result page) */
+function sludgeLines(d) {
+  const sl = d.sludge, units = d.plant ? d.plant.units : 1, out = [];
+  out.push(`<p><strong>Sludge solids:</strong> ${fmtU(sl.drySolids, 'mass', 1)} per unit (TSS ${fmt(sl.tss,0)} mg/L × ${fmt(sl.removal * 100,1)} % removed)</p>`);
+  out.push(`<p><strong>Wet sludge volume:</strong> ${fmtU(sl.volumePerDay, 'smallFlow', 2)} per unit, ${fmtU(sl.volumePerDay * units, 'smallFlow', 2)} plant (${fmt(sl.solids * 100,1)} % solids, SG ${fmt(sl.sg,2)})</p>`);
+  out.push(`<p><strong>Sludge storage:</strong> hopper ${fmtU(sl.hopperVolume, 'volume', 2)} + sludge zone ${fmtU(sl.zoneVolume, 'volume', 2)} (${fmtU(sl.zoneDepth, 'length', 2)} layer + floor slope) = ${fmtU(sl.storage, 'volume', 2)}</p>`);
+  out.push(`<p><strong>Desludging interval:</strong> ${fmt(sl.interval,1)} days</p>`);
+  out.push(`<p><strong>Overall depth:</strong> ${fmtU(d.depth, 'length', 2)} water + ${fmtU(sl.zoneDepth, 'length', 2)} sludge zone + ${fmtU(sl.freeboard, 'length', 2)} freeboard = ${fmtU(sl.totalDepth, 'length', 2)} (plus hopper below)</p>`);
+  return out.join('');
+}
+
+/* limit and verdict of a hydraulic check, worded in the chosen units */
+function hydraulicCheckText(c, d) {
+  const crit = DESIGN_CRITERIA[d.process] || DESIGN_CRITERIA.plain, h = d.hydraulics;
+  switch (c.key) {
+    case 'scour': return {
+      limit: `< v<sub>scour</sub> = ${fmtU(h.vScour * 60, 'velocity')}`,
+      note: c.status === 'pass' ? 'settled sludge not resuspended' : 'scour of settled particles likely' };
+    case 'weir': return {
+      limit: `≤ ${fmtU(crit.weirLoading[1], 'weir', 0)} → weir ≥ ${fmtU(h.weirRequired, 'length')}`,
+      note: d.weirLength >= h.weirRequired ? 'weir length adequate' : `provide ${fmtU(h.weirRequired, 'length')} of weir (launders / V-notches)` };
+    case 're': return {
+      limit: `< ${RE_LAMINAR} (≤ ${RE_MAX} tolerable)`,
+      note: c.status === 'pass' ? 'laminar, little short-circuiting' : 'turbulent — consider longitudinal baffles' };
+    default: return {
+      limit: `> ${FR_MIN}`,
+      note: c.status === 'pass' ? 'stable flow' : 'flow prone to density currents / short-circuiting' };
+  }
+}
+
+/* value of a check row with its unit, and a criteria range, in the chosen units */
+const checkValue = (r, d = 3) => (r.key === 'fr' ? r.value.toExponential(2) : `${fmt(toUnits(r.value, r.kind), d)} ${r.kind ? unitOf(r.kind) : r.unit || ''}`.trim());
+function criteriaRange(r) {
+  const [min, max] = r.range.map(v => toUnits(v, r.kind));
+  return min > 0 ? `${fmt(min,2)} – ${fmt(max,2)}` : `≤ ${fmt(max,2)}`;
+}
+
+/* pass/warn/fail badge */
+const flag = status => `<span class="flag flag-${status.replace('/', '')}">${status.toUpperCase()}</span>`;
+
+function complianceSummary(rows) {
+  const count = st => rows.filter(r => r.status === st).length;
+  return `<strong>Criteria:</strong> ${flag('pass')} ${count('pass')} &nbsp; ${flag('warn')} ${count('warn')} &nbsp; ${flag('fail')} ${count('fail')}`;
+}
+
+function complianceTable(d) {
+  const c = DESIGN_CRITERIA[d.process] || DESIGN_CRITERIA.plain;
+  const rows = d.compliance.map(r => `<tr><td style="text-align:left">${r.label}</td><td>${checkValue(r, 2)}</td><td>${criteriaRange(r)}</td><td>${flag(r.status)}</td></tr>`);
+  return `<p><strong>Design criteria — ${c.label}:</strong></p><table class="data-table"><thead><tr><th>Check</th><th>Design</th><th>Allowable</th><th>Status</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function hydraulicsTable(d) {
+  const h = d.hydraulics;
+  const rows = h.checks.map(c => {
+    const t = hydraulicCheckText(c, d);
+    return `<tr><td style="text-align:left">${c.label}</td><td>${checkValue(c)}</td><td>${t.limit}</td><td>${flag(c.status)}</td><td style="text-align:left">${t.note}</td></tr>`;
+  });
+  return `<p><strong>Hydraulic checks</strong> (R<sub>h</sub> = ${fmtU(h.Rh, 'length', 2)}, scour checked for d = ${fmt(h.dScour_mm * 1000,1)} µm):</p><table class="data-table"><thead><tr><th>Check</th><th>Value</th><th>Limit</th><th>Status</th><th>Verdict</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/* " (rounded up from 24.49 × 6.12 × 3.5 m)" when the buildable size differs from the calculated one */
+function roundedFrom(d) {
+  const r = d.raw;
+  if (!r) return '';
+  const dims = d.tankType === 'horizontal' ? [[r.L, d.L], [r.B, d.B], [r.depth, d.depth]] : [[r.Dia, d.Dia], [r.depth, d.depth]];
+  if (dims.every(([a, b]) => Math.abs(a - b) < 1e-9)) return '';
+  return ` (rounded up from ${dims.map(([a]) => fmt(toUnits(a, 'length'), 2)).join(' × ')} ${unitOf('length')})`;
+}
+
+/* structure and construction quantities (result page) */
+function quantityLines(d) {
+  const q = d.quantities, st = d.structure, n = d.plant ? d.plant.totalUnits : 1, out = [];
+  out.push(`<p><strong>Structure:</strong> walls ${fmtU(st.wall, 'length', 2)} thick, ${fmtU(q.wallHeight, 'length', 2)} high (incl. ${fmtU(st.freeboard, 'length', 2)} freeboard); base ${fmtU(st.base, 'length', 2)}; reinforcement ${fmtU(st.steelRatio, 'steel', 0)} of concrete</p>`);
+  const row = (label, v, kind) => `<tr><td style="text-align:left">${label}</td><td>${fmtU(v, kind, 1)}</td><td>${fmtU(v * n, kind, 1)}</td></tr>`;
+  out.push(`<p><strong>Construction quantities</strong> (excavation ${fmtU(q.digDepth, 'length', 2)} deep below top water level plus hoppers, ${fmtU(EXCAVATION_MARGIN, 'length', 1)} working space):</p>`,
+    `<table class="data-table"><thead><tr><th>Item</th><th>Per tank</th><th>${n} tank${n > 1 ? 's' : ''}</th></tr></thead><tbody>`
+    + row('Excavation', q.excavation, 'bulk')
+    + row('Concrete — walls', q.concrete.walls, 'bulk')
+    + row('Concrete — base slab', q.concrete.base, 'bulk')
+    + row('Concrete — hoppers', q.concrete.hoppers, 'bulk')
+    + row('<strong>Concrete — total</strong>', q.concrete.total, 'bulk')
+    + row('Reinforcement', q.reinforcement, 'weight')
+    + '</tbody></table>');
+  return out.join('');
+}
+
+/* bill of quantities with editable rates; rates shown per chosen unit */
+function boqTable(d) {
+  const boq = billOfQuantities(d, rateTable()), cur = xmlEscape(boq.currency);
+  const rows = boq.lines.map(l => `<tr><td style="text-align:left">${l.label}</td><td>${fmtU(l.qty, l.kind, 1)}</td>`
+    + `<td><input class="rate" type="number" step="any" min="0" data-rate="${l.key}" data-kind="${l.kind}" value="${+fromUnits(l.rate, l.kind).toPrecision(6)}" /> / ${unitOf(l.kind)}</td>`
+    + `<td>${fmt(l.amount, 0)}</td></tr>`);
+  return `<p><strong>Bill of quantities</strong> — currency <input class="rate" type="text" data-rate="currency" value="${cur}" size="5" /> <button type="button" id="btnRatesDefault" class="ghost">Default rates</button></p>`
+    + `<table class="data-table"><thead><tr><th>Item</th><th>Quantity</th><th>Rate</th><th>Amount (${cur})</th></tr></thead><tbody>${rows.join('')}`
+    + `<tr><td style="text-align:left" colspan="3"><strong>Total (first budget estimate)</strong></td><td><strong>${fmt(boq.total, 0)}</strong></td></tr></tbody></table>`;
+}
+
+/* capacity of an existing tank (check mode): one-liner and per-criterion table */
+function capacitySummary(d) {
+  const cap = d.capacity;
+  const never = unattainableText(cap);
+  if (!cap.governing) return `<strong>Capacity:</strong> no flow-dependent criterion can be met${never ? `  |  ${never}` : ''}`;
+  let line = `<strong>Capacity within criteria:</strong> ${fmtU(cap.Q_peak, 'flow', 2)} peak (${cap.limits.find(l => l.key === cap.governing).label.toLowerCase()} governs)`;
+  if (d.P !== null) line += `  |  up to ${cap.P.toLocaleString()} persons`;
+  if (cap.utilisation !== null) line += `  |  <strong>${fmt(cap.utilisation * 100,0)} %</strong> used`;
+  if (never) line += `  |  ${never}`;
+  return line;
+}
+
+// limits that no flow meets, named for the capacity summary
+function unattainableText(cap) {
+  const never = cap.limits.filter(l => l.Q_unit === null).map(l => l.label.toLowerCase());
+  return never.length ? `<strong>not met at any flow:</strong> ${never.join(', ')}` : '';
+}
+
+function capacityTable(d) {
+  const cap = d.capacity, pl = d.plant;
+  const rows = cap.limits.map(l => (l.Q_unit === null
+    ? `<tr><td style="text-align:left">${l.label}</td><td colspan="2">not met at any flow</td><td>${flag('fail')}</td></tr>`
+    : `<tr${l.key === cap.governing ? ' class="governing"' : ''}><td style="text-align:left">${l.label}</td><td>${fmtU(l.Q_unit, 'flow', 3)}</td><td>${fmtU(l.Q_peak, 'flow', 3)}</td><td>${flag(pl.Q_peak_day <= l.Q_peak ? 'pass' : 'fail')}</td></tr>`));
+  const out = [`<p><strong>Capacity within criteria</strong> (largest flow at which each limit still passes, ${pl.units} duty unit${pl.units > 1 ? 's' : ''}):</p>`,
+    `<table class="data-table"><thead><tr><th>Limit</th><th>Max flow per unit</th><th>Max plant peak flow</th><th>At current flow</th></tr></thead><tbody>${rows.join('')}</tbody></table>`];
+  if (!cap.governing) {
+    out.push('<p>No flow-dependent criterion can be met by this tank.</p>');
+    return out.join('');
   }
-  $('resultsBox').innerHTML = lines.join('<br>');
+  let text = `<p><strong>Maximum flow:</strong> ${fmtU(cap.Q_peak, 'flow', 2)} peak = ${fmtU(cap.Q_avg, 'flow', 2)} average (peak factor ${fmt(pl.peakFactor,2)})`;
+  if (d.P !== null) text += `, serving up to <strong>${cap.P.toLocaleString()} persons</strong> at ${fmtU(d.pcd, 'pcd', 1)}`;
+  out.push(text + '</p>');
+  if (cap.utilisation !== null) out.push(`<p><strong>Current load:</strong> ${fmt(cap.utilisation * 100,1)} % of capacity — ${cap.utilisation <= 1 ? `spare ${fmtU(cap.Q_peak - pl.Q_peak_day, 'flow', 2)}` : `overloaded by ${fmtU(pl.Q_peak_day - cap.Q_peak, 'flow', 2)}`}</p>`);
+  return out.join('');
+}
+
+/* Side-by-side variant comparison; cells that differ from the first variant are highlighted */
+const COMPARE_ROWS = [
+  ['Units (duty + standby)', d => d.plant ? `${d.plant.units} + ${d.plant.standby}` : '1'],
+  ['Peak flow', d => fmtU(d.plant ? d.plant.Q_peak_day : d.Q_day_m3, 'flow', 3)],
+  ['Flow per unit', d => fmtU(d.Q_day_m3, 'flow', 3)],
+  ['Tank', d => d.tankType],
+  ['Size', d => d.tankType === 'horizontal' ? `${fmt(toUnits(d.L, 'length'),2)} × ${fmt(toUnits(d.B, 'length'),2)} × ${fmtU(d.depth, 'length', 2)}` : `Ø ${fmt(toUnits(d.Dia, 'length'),2)} × ${fmtU(d.depth, 'length', 2)}`],
+  ['Plan area', d => fmtU(d.planArea, 'area', 1)],
+  ['Volume', d => fmtU(d.controllingVolume, 'volume', 1)],
+  ['Detention (h)', d => fmt(d.detentionActual, 2)],
+  ['Weir loading', d => fmtU(d.weirLoading, 'weir', 1)],
+  ['Removal (%)', d => d.settling ? fmt(d.settling.overall * 100, 1) : '—'],
+  ['Desludging interval (days)', d => d.sludge ? fmt(d.sludge.interval, 1) : '—'],
+  ['Concrete (all tanks)', d => d.quantities ? fmtU(d.quantities.concrete.total * d.plant.totalUnits, 'bulk', 1) : '—'],
+  ['Cost estimate', d => {
+    if (!d.quantities) return '—';
+    const boq = billOfQuantities(d, rateTable());
+    return `${boq.currency} ${fmt(boq.total, 0)}`;
+  }],
+  ['Criteria / hydraulic checks', d => {
+    const all = [...(d.compliance || []), ...(d.hydraulics ? d.hydraulics.checks : [])];
+    return ['fail', 'warn'].map(s => `${all.filter(r => r.status === s).length} ${s}`).join(', ');
+  }]
+];
+function compareTable(variants) {
+  const cells = vals => vals.map((v, i) => `<td${i > 0 && v !== vals[0] ? ' class="diff"' : ''}>${xmlEscape(v)}</td>`).join('');
+  // inputs only when they differ somewhere
+  const inputRows = Object.keys(DEFAULT_INPUTS)
+    .map(k => [k, variants.map(v => inputText(k, v.inputs))])
+    .filter(([, vals]) => vals.some(v => v !== vals[0]));
+  const rows = [
+    ...inputRows.map(([k, vals]) => `<tr><td style="text-align:left">${xmlEscape(inputLabel(k))}</td>${cells(vals)}</tr>`),
+    ...COMPARE_ROWS.map(([label, get]) => `<tr><td style="text-align:left"><strong>${label}</strong></td>${cells(variants.map(v => get(v.design)))}</tr>`)
+  ];
+  return `<table class="data-table compare"><thead><tr><th></th>${variants.map(v => `<th>${xmlEscape(v.name)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
 }
 
 /* ---------- Result page wiring ---------- */
@@ -134,28 +670,85 @@ function resultPageInit() {
     return;
   }
   // Fill results area
-  const lines = [];
-  lines.push(`<p><strong>Total Daily Water Requirement:</strong> ${fmt(design.Q_day_m3,2)} m³/day (${(design.P * design.pcd).toLocaleString()} L/day)</p>`);
-  lines.push(`<p><strong>Flow Rate (Q):</strong> ${fmt(design.Q_m3_s,6)} m³/s</p>`);
-  lines.push(`<p><strong>Plan area required (A):</strong> ${fmt(design.planArea,2)} m²</p>`);
-  lines.push(`<p><strong>Depth (D):</strong> ${fmt(design.depth,2)} m</p>`);
-  lines.push(`<p><strong>Volume by detention (V_det):</strong> ${fmt(design.V_det,2)} m³</p>`);
-  lines.push(`<p><strong>Volume by area×depth (V_area):</strong> ${fmt(design.V_area,2)} m³</p>`);
-  lines.push(`<p><strong>Controlling volume (use):</strong> ${fmt(design.controllingVolume,2)} m³</p>`);
+  const lines = [], check = design.mode === 'check';
+  if (check) lines.push('<p><strong>Mode:</strong> check of an existing tank at the current flow</p>');
+  if (design.plant) lines.push(plantSummary(design));
+  lines.push(`<p><strong>Flow per unit (Q):</strong> ${fmtU(design.Q_day_m3, 'flow', 2)} = ${fmtU(design.Q_m3_s, 'flowS', 6)}</p>`);
+  if (check) lines.push(`<p><strong>Plan area (A):</strong> ${fmtU(design.planArea, 'area', 2)}</p>`);
+  else if (design.raw) lines.push(`<p><strong>Plan area required (A):</strong> ${fmtU(design.raw.planArea, 'area', 2)}  |  <strong>provided:</strong> ${fmtU(design.planArea, 'area', 2)} (actual SOR ${fmtU(design.SOR_m3_m2_day, 'sor', 2)})</p>`);
+  else lines.push(`<p><strong>Plan area required (A):</strong> ${fmtU(design.planArea, 'area', 2)}</p>`);
+  lines.push(`<p><strong>Depth (D):</strong> ${fmtU(design.depth, 'length', 2)}</p>`);
+  if (check) {
+    lines.push(`<p><strong>Volume (A × D):</strong> ${fmtU(design.controllingVolume, 'volume', 2)}</p>`);
+    lines.push(`<p><strong>Actual SOR:</strong> ${fmtU(design.SOR_m3_m2_day, 'sor', 2)}  |  <strong>Detention:</strong> ${fmt(design.detentionActual,2)} h</p>`);
+  } else {
+    lines.push(`<p><strong>Volume by detention (V_det):</strong> ${fmtU(design.V_det, 'volume', 2)}</p>`);
+    lines.push(`<p><strong>Volume by area×depth (V_area):</strong> ${fmtU(design.V_area, 'volume', 2)}</p>`);
+    lines.push(`<p><strong>Controlling volume (use):</strong> ${fmtU(design.controllingVolume, 'volume', 2)}</p>`);
+  }
   if (design.tankType === 'horizontal') {
-    lines.push(`<p><strong>Rectangular dims (L × B × D):</strong> ${fmt(design.L,2)} m × ${fmt(design.B,2)} m × ${fmt(design.depth,2)} m (L:B=${design.lbr}:1)</p>`);
+    lines.push(`<p><strong>Rectangular dims (L × B × D):</strong> ${fmtU(design.L, 'length', 2)} × ${fmtU(design.B, 'length', 2)} × ${fmtU(design.depth, 'length', 2)} (L:B=${fmt(design.lbr,2)}:1)${roundedFrom(design)}</p>`);
   } else {
-    lines.push(`<p><strong>Circular dims (Ø × D):</strong> Ø = ${fmt(design.Dia,2)} m × ${fmt(design.depth,2)} m</p>`);
+    lines.push(`<p><strong>Circular dims (Ø × D):</strong> Ø = ${fmtU(design.Dia, 'length', 2)} × ${fmtU(design.depth, 'length', 2)}${roundedFrom(design)}</p>`);
   }
+  if (design.geometry) lines.push(geometryLines(design));
+  if (design.settling) lines.push(settlingTable(design.settling));
+  if (design.sludge) lines.push(sludgeLines(design));
+  if (design.compliance) lines.push(complianceTable(design));
+  if (design.hydraulics) lines.push(hydraulicsTable(design));
+  if (design.capacity) lines.push(capacityTable(design));
+  if (design.quantities) lines.push(quantityLines(design), `<div id="boq">${boqTable(design)}</div>`);
   $('results') && ($('results').innerHTML = lines.join(''));
+  showComparison().catch(err => {
+    $('compare').innerHTML = `<p class="muted">Saved projects are unavailable: ${xmlEscape(err && err.message || String(err))}</p>`;
+    $('compare').style.display = 'block';
+  });
+
+  // rate table edits (shown per chosen unit, kept per SI unit) re-price the bill of quantities
+  $('boq')?.addEventListener('change', e => {
+    const el = e.target, rates = rateTable();
+    if (el.dataset.rate === 'currency') rates.currency = el.value;
+    else if (el.dataset.rate) rates[el.dataset.rate] = toUnits(Number(el.value) || 0, el.dataset.kind);
+    localStorage.setItem('sts_rates', JSON.stringify(rates));
+    $('boq').innerHTML = boqTable(design);
+  });
+  $('boq')?.addEventListener('click', e => {
+    if (e.target.id !== 'btnRatesDefault') return;
+    localStorage.removeItem('sts_rates');
+    $('boq').innerHTML = boqTable(design);
+  });
+
+  // report title block fields
+  const meta = reportMeta();
+  ['title', 'client', 'preparedBy'].forEach(k => {
+    const el = $('report_' + k);
+    if (!el) return;
+    el.value = meta[k];
+    el.addEventListener('change', () => {
+      localStorage.setItem('sts_report', JSON.stringify({ ...reportMeta(), [k]: el.value }));
+    });
+  });
 
   // buttons
+  $('btnReport')?.addEventListener('click', downloadReportPDF);
   $('btnDiagram')?.addEventListener('click', () => { window.location.href = 'diagram.html'; });
+  $('btnSweepPage')?.addEventListener('click', () => { window.location.href = 'sweep.html'; });
   $('btnBackToInput')?.addEventListener('click', () => { window.location.href = 'home.html'; });
 }
 
+/* variants of the open project, side by side (needs at least two) */
+async function showComparison() {
+  const box = $('compare'), id = currentProjectId();
+  if (!box || !id || !window.indexedDB) return;
+  const project = await getProject(id);
+  if (!project || project.variants.length < 2) return;
+  box.innerHTML = `<h3>Variant comparison — ${xmlEscape(project.name)}</h3>${compareTable(project.variants)}<p class="muted">Highlighted values differ from <strong>${xmlEscape(project.variants[0].name)}</strong>.</p>`;
+  box.style.display = 'block';
+  if (window.location.hash === '#compare') box.scrollIntoView();
+}
+
 /* ---------- Diagram page: 2D drawing + 3D Three.js ---------- */
-let threeRenderer, threeScene, threeCamera, threeMesh, threeContainer, animateId;
+let threeRenderer, threeScene, threeCamera, threeMesh, threeContainer, threeViewer, animateId;
 
 function diagramPageInit() {
   const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
@@ -165,8 +758,9 @@ function diagramPageInit() {
     return;
   }
 
-  // draw 2D plan
+  // draw 2D plan and section
   drawPlan(design);
+  drawSection(design);
 
   // init 3D
   initThree(design);
@@ -185,48 +779,450 @@ function diagramPageInit() {
     window.location.href = 'result.html';
   });
 
+  $('btnReport')?.addEventListener('click', downloadReportPDF);
+  $('btnSVG')?.addEventListener('click', () => exportDrawings('svg'));
+  $('btnDXF')?.addEventListener('click', () => exportDrawings('dxf'));
+  document.querySelectorAll('[data-model]').forEach(btn => btn.addEventListener('click', () => exportModel(btn.dataset.model)));
+
   $('btnOpen3D')?.addEventListener('click', () => {
     // open full 3D page
     window.location.href = 'visualize.html';
   });
 }
 
-function drawPlan(d) {
-  const canvas = $('planCanvas');
-  const ctx = canvas.getContext('2d');
-  // white print-ready background
-  ctx.fillStyle = '#fff'; ctx.fillRect(0,0,canvas.width,canvas.height);
-  ctx.strokeStyle = '#0b61a6'; ctx.lineWidth = 2; ctx.font='14px Arial'; ctx.fillStyle='#0b61a6';
+/* ---------- 2D drawings: one geometry description, rendered to canvas / SVG / DXF ---------- */
+/* A drawing is a list of items in real-world metres (x right, y up), each on a layer,
+   plus the paper frame (metres) and the screen scale (px per metre) it was laid out for.
+   Annotation offsets and text sizes are chosen in screen px and converted with px(). */
+const DRAWING_LAYERS = {
+  outline:    { color: '#0b61a6', width: 2,   aci: 5 },
+  internals:  { color: '#0b61a6', width: 1.2, aci: 4 },
+  water:      { color: '#12b0ff', width: 1.2, aci: 140 },
+  sludge:     { color: '#8d6e63', width: 1.2, aci: 32 },
+  dimensions: { color: '#0b61a6', width: 1.2, aci: 3 },
+  text:       { color: '#0b61a6', width: 1,   aci: 7 }
+};
+const DASHES = { dashed: [6, 3], dotted: [2, 3], hidden: [4, 3], long: [8, 4] };
+
+function createDrawing(title, scale, frame) {
+  // frame: { minX, minY, maxX, maxY } in metres
+  const items = [];
+  const px = n => n / scale;
+  return {
+    title, scale, frame, items, px,
+    line(layer, pts, opts = {}) { items.push({ type: 'line', layer, pts, ...opts }); },
+    rect(layer, x, y, w, h, opts = {}) { items.push({ type: 'line', layer, pts: [[x, y], [x + w, y], [x + w, y + h], [x, y + h]], closed: true, ...opts }); },
+    circle(layer, c, r, opts = {}) { if (r > 0) items.push({ type: 'circle', layer, c, r, ...opts }); },
+    text(at, text, size = 11, opts = {}) { items.push({ type: 'text', layer: 'text', at, text, size: px(size), ...opts }); },
+    dim(a, b, label, vertical = false) {
+      items.push({ type: 'dim', layer: 'dimensions', a, b, label, vertical, tick: px(6), gap: px(8), offset: px(14), size: px(12) });
+    }
+  };
+}
 
+/* frame of a paper of width x height px centred on world point (cx, cy) */
+function paperFrame(paper, scale, cx, cy) {
+  const w = paper.width / scale, h = paper.height / scale;
+  return { minX: cx - w / 2, maxX: cx + w / 2, minY: cy - h / 2, maxY: cy + h / 2 };
+}
+
+function buildPlanDrawing(d, paper) {
   // margin/pad
-  const pad = 40, maxW = canvas.width - pad*2, maxH = canvas.height - pad*2;
+  const pad = 40, maxW = paper.width - pad*2, maxH = paper.height - pad*2;
+  const g = tankGeometry(d);
+
+  // tank battery: duty units then standby units, side by side
+  const n = d.plant ? d.plant.totalUnits : 1, duty = d.plant ? d.plant.units : 1;
+  const unitLabel = i => (i < duty ? `Unit ${i + 1}` : 'Standby');
 
   if (d.tankType === 'horizontal') {
-    const L = d.L || 10, B = d.B || 3;
-    const scale = Math.min(maxW / Math.max(L,1), maxH / Math.max(B,1));
-    const w = L * scale, h = B * scale;
-    const x0 = (canvas.width - w)/2, y0 = (canvas.height - h)/2;
-    // rectangle (plan)
-    ctx.strokeRect(x0, y0, w, h);
-    ctx.fillText('Plan view', x0 + w/2 - 30, y0 - 12);
+    const L = d.L || 10, B = d.B || 3, W = B * n;
+    const scale = Math.min(maxW / Math.max(L,1), maxH / Math.max(W,1));
+    const dw = createDrawing('Plan', scale, paperFrame(paper, scale, L / 2, W / 2)), px = dw.px;
+    dw.text([L / 2, W + px(12)], 'Plan view', 14, { align: 'center' });
+    for (let i = 0; i < n; i++) {
+      const yb = W - (i + 1) * B; // unit 1 on top
+      dw.rect('outline', 0, yb, L, B);
+      planRectInternals(dw, g, yb, L, B, i === 0);
+      if (n > 1) dw.text([L / 2, yb + B / 2 - px(4)], unitLabel(i), 11, { align: 'center' });
+    }
     // labels
-    ctx.fillText('Influent', x0 - 6, y0 + h/2 - 6);
-    ctx.fillText('Effluent', x0 + w - 50, y0 + h/2 - 6);
+    dw.text([-px(6), W / 2 + px(6)], 'Influent', 14);
+    dw.text([L - px(50), W / 2 + px(6)], 'Effluent', 14);
     // dimension lines
-    drawDim2D(ctx, x0, y0 + h + 18, x0 + w, y0 + h + 18, `${fmt(L,2)} m`);
-    drawDim2D(ctx, x0 - 18, y0 + h, x0 - 18, y0, `${fmt(B,2)} m`, true);
+    dw.dim([0, -px(18)], [L, -px(18)], fmtU(L, 'length', 2));
+    dw.dim([-px(18), W - B], [-px(18), W], fmtU(B, 'length', 2), true);
+    if (n > 1) dw.dim([L + px(30), 0], [L + px(30), W], fmtU(W, 'length', 2), true);
+    return dw;
+  }
+
+  // circular plan(s) on a grid, row 0 at the top
+  const Dia = d.Dia || 10, R = Dia / 2;
+  const cols = Math.ceil(Math.sqrt(n)), rows = Math.ceil(n / cols);
+  const pitch = Dia * 1.2;
+  const scale = Math.min(maxW / (cols * pitch), maxH / (rows * pitch));
+  const dw = createDrawing('Plan', scale, paperFrame(paper, scale, 0, 0)), px = dw.px;
+  const centre = i => [((i % cols) - (cols - 1) / 2) * pitch, -(Math.floor(i / cols) - (rows - 1) / 2) * pitch];
+  for (let i = 0; i < n; i++) {
+    const [cx, cy] = centre(i);
+    dw.circle('outline', [cx, cy], R);
+    planCircInternals(dw, d, g, cx, cy, R, i === 0);
+    if (n > 1) dw.text([cx - px(18), cy + R + px(4)], unitLabel(i), 11);
+  }
+  const [fx, fy] = centre(0);
+  dw.text([0, fy + R + px(n > 1 ? 20 : 12)], 'Plan view', 14, { align: 'center' });
+  if (n === 1) dw.text([fx + R + px(4), fy + px(6)], d.tankType === 'peripheral' ? 'Influent' : 'Effluent', 14);
+  const [dx, dy] = centre((rows - 1) * cols);
+  dw.dim([dx - R, dy - R - px(18)], [dx + R, dy - R - px(18)], `Ø ${fmtU(Dia, 'length', 2)}`);
+  return dw;
+}
+
+/* rectangular internals: hoppers at the inlet end, inlet baffle, outlet weir */
+function planRectInternals(dw, g, yb, L, B, labels) {
+  const px = dw.px, a = g.hopper.top, top = yb + B;
+  for (let i = 0; i < g.hopper.count; i++) {
+    const y = top - (i + 1) * a;
+    dw.rect('internals', 0, y, a, a, { dash: 'hidden' });
+    dw.line('internals', [[0, y + a], [a, y]], { width: 0.6 });
+    dw.line('internals', [[a, y + a], [0, y]], { width: 0.6 });
+  }
+  const bx = g.inlet.baffleOffset, wx = L - g.outlet.launderWidth;
+  dw.line('internals', [[bx, yb + px(4)], [bx, top - px(4)]], { dash: 'dashed' });
+  dw.line('internals', [[wx, yb], [wx, top]]);
+  if (labels) {
+    dw.text([px(4), top - a - px(12)], 'Hopper', 11);
+    dw.text([wx - px(28), top - px(14)], 'Weir', 11);
+  }
+}
+
+/* circular internals: hopper, feed well + peripheral launder, or inlet channel + central outlet */
+function planCircInternals(dw, d, g, cx, cy, R, labels) {
+  const px = dw.px, c = [cx, cy];
+  dw.circle('internals', c, g.hopper.top / 2, { dash: 'dotted' });
+  if (d.tankType === 'peripheral') {
+    const rs = R - g.inlet.channelWidth, ro = g.outlet.dia / 2;
+    dw.circle('internals', c, rs, { dash: 'dashed' });
+    dw.circle('internals', c, ro);
+    dw.circle('internals', c, ro - g.outlet.launderWidth);
+    if (labels) {
+      dw.text([cx - px(34), cy + rs - px(14)], 'Inlet channel', 11);
+      dw.text([cx - px(40), cy - ro - px(14)], `Outlet Ø ${fmtU(g.outlet.dia, 'length', 2)}`, 11);
+    }
   } else {
-    // circular plan
-    const Dia = d.Dia || 10;
-    const scale = Math.min(maxW / (Dia*1.2), maxH / (Dia*1.2));
-    const r = (Dia/2) * scale;
-    const cx = canvas.width/2, cy = canvas.height/2;
-    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI*2); ctx.stroke();
-    ctx.fillText('Plan view', cx - 28, cy - r - 12);
-    drawDim2D(ctx, cx - r, cy + r + 18, cx + r, cy + r + 18, `Ø ${fmt(Dia,2)} m`);
+    const rw = g.outlet.weirDia / 2, rf = g.inlet.dia / 2;
+    dw.circle('internals', c, rw, { dash: 'dashed' });
+    dw.circle('internals', c, rf);
+    if (labels) {
+      dw.text([cx - px(36), cy + rw - px(14)], 'Launder / weir', 11);
+      dw.text([cx - px(50), cy - rf - px(14)], `Feed well Ø ${fmtU(g.inlet.dia, 'length', 2)}`, 11);
+    }
   }
 }
 
+/* Longitudinal section (rectangular) or radial section through the centre (circular).
+   Levels are in metres from top water level (TWL = 0, up positive). */
+function buildSectionDrawing(d, paper) {
+  const g = tankGeometry(d);
+  const H = d.depth, hop = g.hopper;
+  const zone = d.sludge ? d.sludge.zoneDepth : SLUDGE_ZONE_DEPTH;
+  const fb = d.sludge ? d.sludge.freeboard : FREEBOARD;
+  const rect = d.tankType === 'horizontal';
+  const span = rect ? (d.L || 10) : (d.Dia || 10);
+  const yFloorLow = -H - zone - g.floorDrop;          // floor at the hopper edge
+  const yBottom = yFloorLow - hop.depth;               // hopper bottom
+
+  // fit: left margin for hopper dim, right margin for stacked level dims
+  const padL = 50, padR = 100, padT = 40, padB = 50;
+  const scale = Math.min((paper.width - padL - padR) / span, (paper.height - padT - padB) / (fb - yBottom));
+  const xMid = rect ? span / 2 : 0;
+  const cx = xMid + (padR - padL) / 2 / scale, cy = (fb + yBottom) / 2 + (padB - padT) / 2 / scale;
+  const dw = createDrawing('Section', scale, paperFrame(paper, scale, cx, cy)), px = dw.px;
+
+  // floor profile (x, level) from the left wall to the right wall
+  let floor;
+  if (rect) {
+    const L = span, a = hop.top, b = hop.bottom;
+    floor = [[0, yFloorLow], [(a - b) / 2, yBottom], [(a + b) / 2, yBottom], [a, yFloorLow], [L, -H - zone]];
+  } else {
+    const R = span / 2, a = hop.top / 2, b = hop.bottom / 2;
+    floor = [[-R, -H - zone], [-a, yFloorLow], [-b, yBottom], [b, yBottom], [a, yFloorLow], [R, -H - zone]];
+  }
+  const xL = floor[0][0], xR = floor[floor.length - 1][0];
+
+  // sludge zone + hopper (filled), then the tank outline
+  dw.line('sludge', [[xL, -H], ...floor, [xR, -H]], { closed: true, fill: DRAWING_LAYERS.sludge.color, fillOpacity: 0.35, stroke: false });
+  dw.line('outline', [[xL, fb], ...floor, [xR, fb]]);
+
+  // top water level and top of sludge zone
+  dw.line('water', [[xL, 0], [xR, 0]], { dash: 'long' });
+  dw.line('sludge', [[xL, -H], [xR, -H]], { dash: 'dotted' });
+
+  // internals: inlet baffle / feed well / skirt, outlet weir + launder, scum baffle
+  const above = 0.15; // baffles project above TWL
+  const out = g.outlet, yw = -out.weirDepth;
+  const depthDim = (x, depth) => dw.dim([x, -depth], [x, 0], fmtU(depth, 'length', 2), true);
+  const weir = (x, dir, dims) => {
+    // weir plate at x, launder trough towards the wall (dir = +1 right, -1 left), scum baffle ahead
+    const lw = out.launderWidth, xs = x - dir * out.scumOffset;
+    dw.line('internals', [[x, yw], [x, out.crestHeight]], { width: 1.6 });
+    dw.line('internals', [[x, yw], [x + dir * lw, yw]], { width: 1.6 });
+    dw.line('internals', [[xs, above], [xs, -out.scumDepth]], { width: 1.6, dash: 'hidden' });
+    if (!dims) return;
+    // on the tank side of the scum baffle: its depth, then the launder invert below TWL;
+    // scum baffle offset above the water, launder width below the trough
+    depthDim(xs - dir * px(10), out.scumDepth);
+    depthDim(xs - dir * px(40), out.weirDepth);
+    dw.dim([Math.min(xs, x), above + px(16)], [Math.max(xs, x), above + px(16)], fmtU(out.scumOffset, 'length', 2));
+    dw.dim([Math.min(x, x + dir * lw), yw - px(16)], [Math.max(x, x + dir * lw), yw - px(16)], fmtU(lw, 'length', 2));
+  };
+  if (rect) {
+    const bx = g.inlet.baffleOffset, wx = span - out.launderWidth;
+    dw.line('internals', [[bx, above], [bx, -g.inlet.baffleDepth]], { width: 1.6 });
+    weir(wx, 1, true);
+    dw.text([bx + px(4), -g.inlet.baffleDepth - px(12)], 'Inlet baffle', 11);
+    dw.text([wx - px(30), yw - px(34)], 'Weir', 11);
+    dw.text([wx - out.scumOffset - px(62), above + px(34)], 'Scum baffle', 11);
+    depthDim(bx + px(10), g.inlet.baffleDepth);
+  } else if (d.tankType === 'peripheral') {
+    const rs = span / 2 - g.inlet.channelWidth, ro = out.dia / 2;
+    [-1, 1].forEach(sgn => {
+      dw.line('internals', [[sgn * rs, above], [sgn * rs, -g.inlet.skirtDepth]], { width: 1.6 });
+      weir(sgn * ro, -sgn, sgn > 0);
+    });
+    dw.text([rs - px(30), -g.inlet.skirtDepth - px(12)], 'Skirt', 11);
+    dw.text([ro + px(6), yw - px(34)], 'Outlet weir', 11);
+    depthDim(-rs + px(10), g.inlet.skirtDepth);
+  } else {
+    const rf = g.inlet.dia / 2, rw = out.weirDia / 2;
+    [-1, 1].forEach(sgn => {
+      dw.line('internals', [[sgn * rf, above], [sgn * rf, -g.inlet.depth]], { width: 1.6 });
+      weir(sgn * rw, sgn, sgn > 0);
+    });
+    dw.text([-rf - px(4), -g.inlet.depth - px(12)], 'Feed well', 11);
+    dw.text([rw - px(30), yw - px(34)], 'Weir', 11);
+    depthDim(-rf - px(10), g.inlet.depth);
+  }
+
+  // labels
+  dw.text([(dw.frame.minX + dw.frame.maxX) / 2, dw.frame.maxY - px(20)], rect ? 'Longitudinal section' : 'Section through centre', 14, { align: 'center' });
+  dw.text([xL + px(4), px(4)], 'TWL', 11);
+  dw.text([rect ? span * 0.45 : -span / 4, -H + px(4)], 'Sludge zone', 11);
+  dw.text([rect ? span * 0.6 : span / 6, -H - zone - px(14)], `Floor 1 in ${fmt(1 / g.floorSlope,0)}`, 11);
+
+  // dimensions: span below, hopper depth left, water depth / freeboard / sludge zone right,
+  // floor drop beside the hopper edge
+  const colA = xR + px(40), colB = xR + px(70);
+  dw.dim([xL, yBottom - px(22)], [xR, yBottom - px(22)], rect ? fmtU(span, 'length', 2) : `Ø ${fmtU(span, 'length', 2)}`);
+  dw.dim([colA, -H], [colA, 0], fmtU(H, 'length', 2), true);
+  dw.dim([colB, 0], [colB, fb], fmtU(fb, 'length', 2), true);
+  dw.dim([colB, -H - zone], [colB, -H], fmtU(zone, 'length', 2), true);
+  dw.dim([xL - px(22), yFloorLow], [xL - px(22), yBottom], fmtU(hop.depth, 'length', 2), true);
+  const xDrop = (rect ? hop.top : hop.top / 2) + px(14);
+  if (g.floorDrop > 0) dw.dim([xDrop, yFloorLow], [xDrop, -H - zone], fmtU(g.floorDrop, 'length', 2), true);
+  return dw;
+}
+
+/* ---------- Drawing renderers ---------- */
+function renderDrawingToCanvas(canvas, dw) {
+  const ctx = canvas.getContext('2d');
+  // white print-ready background
+  ctx.fillStyle = '#fff'; ctx.fillRect(0,0,canvas.width,canvas.height);
+  const s = dw.scale, X = x => (x - dw.frame.minX) * s, Y = y => (dw.frame.maxY - y) * s;
+  dw.items.forEach(it => {
+    const layer = DRAWING_LAYERS[it.layer];
+    ctx.strokeStyle = layer.color; ctx.fillStyle = layer.color;
+    ctx.lineWidth = it.width || layer.width;
+    ctx.setLineDash(it.dash ? DASHES[it.dash] : []);
+    if (it.type === 'line') {
+      ctx.beginPath();
+      it.pts.forEach(([x, y], i) => (i ? ctx.lineTo(X(x), Y(y)) : ctx.moveTo(X(x), Y(y))));
+      if (it.closed) ctx.closePath();
+      if (it.fill) { ctx.fillStyle = it.fill; ctx.globalAlpha = it.fillOpacity ?? 1; ctx.fill(); ctx.globalAlpha = 1; }
+      if (it.stroke !== false) ctx.stroke();
+    } else if (it.type === 'circle') {
+      ctx.beginPath(); ctx.arc(X(it.c[0]), Y(it.c[1]), it.r * s, 0, Math.PI*2); ctx.stroke();
+    } else if (it.type === 'text') {
+      ctx.font = `${Math.round(it.size * s)}px Arial`;
+      const w = it.align === 'center' ? ctx.measureText(it.text).width / 2 : 0;
+      ctx.fillText(it.text, X(it.at[0]) - w, Y(it.at[1]));
+    } else if (it.type === 'dim') {
+      drawDim2D(ctx, X(it.a[0]), Y(it.a[1]), X(it.b[0]), Y(it.b[1]), it.label, it.vertical);
+    }
+  });
+  ctx.setLineDash([]);
+}
+
+/* dimension as plain lines + text in world units (same layout as drawDim2D) */
+function dimParts(it) {
+  const [x1, y1] = it.a, [x2, y2] = it.b, t = it.tick;
+  if (!it.vertical) {
+    return {
+      lines: [[it.a, it.b], [[x1, y1 - t], [x1, y1 + t]], [[x2, y2 - t], [x2, y2 + t]]],
+      text: { at: [(x1 + x2) / 2, y1 + it.gap], rotate: 0 }
+    };
+  }
+  return {
+    lines: [[it.a, it.b], [[x1 - t, y1], [x1 + t, y1]], [[x2 - t, y2], [x2 + t, y2]]],
+    text: { at: [x1 - it.offset, (y1 + y2) / 2], rotate: 90 }
+  };
+}
+
+/* paper scale 1:N so the sheet fits about 400 mm wide */
+function paperScale(widthM) {
+  return [20, 50, 100, 200, 500, 1000, 2000].find(n => widthM * 1000 / n <= 400) || 5000;
+}
+
+const xmlEscape = t => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/* SVG in metres (viewBox units = m), printed at 1:N, one <g> per layer */
+function drawingToSVG(dw) {
+  const { minX, minY, maxX, maxY } = dw.frame, W = maxX - minX, H = maxY - minY;
+  const N = paperScale(W), px = dw.px;
+  const X = x => +(x - minX).toFixed(4), Y = y => +(maxY - y).toFixed(4);
+  const groups = {};
+  Object.keys(DRAWING_LAYERS).forEach(k => { groups[k] = []; });
+  const stroke = (it, layer) => `stroke="${layer.color}" stroke-width="${px(it.width || layer.width).toFixed(4)}"`
+    + (it.dash ? ` stroke-dasharray="${DASHES[it.dash].map(v => px(v).toFixed(4)).join(' ')}"` : '');
+  const text = (at, str, size, anchor, rotate) => {
+    const tr = rotate ? ` transform="rotate(${-rotate} ${X(at[0])} ${Y(at[1])})"` : '';
+    return `<text x="${X(at[0])}" y="${Y(at[1])}" font-family="Arial" font-size="${size.toFixed(4)}" fill="${DRAWING_LAYERS.text.color}" text-anchor="${anchor}"${tr}>${xmlEscape(str)}</text>`;
+  };
+  dw.items.forEach(it => {
+    const layer = DRAWING_LAYERS[it.layer], out = groups[it.layer];
+    if (it.type === 'line') {
+      const pts = it.pts.map(([x, y]) => `${X(x)},${Y(y)}`).join(' ');
+      // #rrggbb plus fill-opacity: rgba() colours are not valid SVG 1.1 paint
+      const fill = it.fill ? `fill="${it.fill}"${it.fillOpacity < 1 ? ` fill-opacity="${it.fillOpacity}"` : ''}` : 'fill="none"';
+      out.push(`<${it.closed ? 'polygon' : 'polyline'} points="${pts}" ${fill} ${it.stroke === false ? '' : stroke(it, layer)}/>`);
+    } else if (it.type === 'circle') {
+      out.push(`<circle cx="${X(it.c[0])}" cy="${Y(it.c[1])}" r="${it.r.toFixed(4)}" fill="none" ${stroke(it, layer)}/>`);
+    } else if (it.type === 'text') {
+      out.push(text(it.at, it.text, it.size, it.align === 'center' ? 'middle' : 'start', 0));
+    } else if (it.type === 'dim') {
+      const p = dimParts(it);
+      p.lines.forEach(([a, b]) => out.push(`<line x1="${X(a[0])}" y1="${Y(a[1])}" x2="${X(b[0])}" y2="${Y(b[1])}" ${stroke(it, layer)}/>`));
+      out.push(text(p.text.at, it.label, it.size, 'middle', p.text.rotate));
+    }
+  });
+  const body = Object.keys(groups).map(k => `  <g id="${k}">\n    ${groups[k].join('\n    ')}\n  </g>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n`
+    + `<svg xmlns="http://www.w3.org/2000/svg" width="${(W * 1000 / N).toFixed(1)}mm" height="${(H * 1000 / N).toFixed(1)}mm" viewBox="0 0 ${W.toFixed(4)} ${H.toFixed(4)}">\n`
+    + `  <title>${xmlEscape(dw.title)} — drawing units: m, dimensions in ${unitOf('length')}, scale 1:${N}</title>\n${body}\n</svg>\n`;
+}
+
+/* DXF (R12 ASCII), drawing units = metres in either unit system (R12 has no units header
+   variable; only the dimension labels follow the chosen units); LINE / CIRCLE / TEXT on one
+   layer per DRAWING_LAYERS key */
+function drawingToDXF(dw) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  const num = v => Number(v).toFixed(4);
+  const dxfText = t => String(t).replace(/Ø/g, '%%c').replace(/°/g, '%%d').replace(/[^\x20-\x7e]/g, '');
+  const ltypes = { CONTINUOUS: [], DASHED: [0.5, -0.25], DOTTED: [0.05, -0.15] };
+  const ltype = it => (it.dash === 'dotted' ? 'DOTTED' : (it.dash ? 'DASHED' : 'CONTINUOUS'));
+  const line = (layer, [x1, y1], [x2, y2], lt = 'CONTINUOUS') => {
+    pair(0, 'LINE'); pair(8, layer); pair(6, lt);
+    pair(10, num(x1)); pair(20, num(y1)); pair(30, 0); pair(11, num(x2)); pair(21, num(y2)); pair(31, 0);
+  };
+  const text = (layer, [x, y], str, h, rotate, center) => {
+    pair(0, 'TEXT'); pair(8, layer); pair(10, num(x)); pair(20, num(y)); pair(30, 0);
+    pair(40, num(h)); pair(1, dxfText(str)); pair(50, rotate || 0);
+    if (center) { pair(72, 1); pair(11, num(x)); pair(21, num(y)); pair(31, 0); }
+  };
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, Object.keys(ltypes).length);
+  Object.entries(ltypes).forEach(([name, pattern]) => {
+    pair(0, 'LTYPE'); pair(2, name); pair(70, 0); pair(3, name.toLowerCase()); pair(72, 65);
+    pair(73, pattern.length); pair(40, num(pattern.reduce((s, v) => s + Math.abs(v), 0)));
+    pattern.forEach(v => pair(49, num(v)));
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, Object.keys(DRAWING_LAYERS).length);
+  Object.entries(DRAWING_LAYERS).forEach(([name, l]) => {
+    pair(0, 'LAYER'); pair(2, name.toUpperCase()); pair(70, 0); pair(62, l.aci); pair(6, 'CONTINUOUS');
+  });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  dw.items.forEach(it => {
+    const layer = it.layer.toUpperCase();
+    if (it.type === 'line') {
+      if (it.stroke === false) return; // fills are not exported
+      const pts = it.closed ? [...it.pts, it.pts[0]] : it.pts;
+      for (let i = 1; i < pts.length; i++) line(layer, pts[i - 1], pts[i], ltype(it));
+    } else if (it.type === 'circle') {
+      pair(0, 'CIRCLE'); pair(8, layer); pair(6, ltype(it));
+      pair(10, num(it.c[0])); pair(20, num(it.c[1])); pair(30, 0); pair(40, num(it.r));
+    } else if (it.type === 'text') {
+      text(layer, it.at, it.text, it.size, 0, it.align === 'center');
+    } else if (it.type === 'dim') {
+      const p = dimParts(it);
+      p.lines.forEach(([a, b]) => line(layer, a, b));
+      text(layer, p.text.at, it.label, it.size, p.text.rotate, true);
+    }
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n') + '\n';
+}
+
+/* place drawings side by side (world metres) on one sheet */
+function combineDrawings(title, drawings, gap = 2) {
+  let offset = 0;
+  const items = [];
+  const frame = { minX: 0, maxX: 0, minY: Infinity, maxY: -Infinity };
+  const shift = (p, dx) => [p[0] + dx, p[1]];
+  drawings.forEach(dw => {
+    const dx = offset - dw.frame.minX;
+    dw.items.forEach(it => {
+      const c = { ...it };
+      if (c.pts) c.pts = c.pts.map(p => shift(p, dx));
+      ['c', 'at', 'a', 'b'].forEach(k => { if (c[k]) c[k] = shift(c[k], dx); });
+      items.push(c);
+    });
+    frame.minY = Math.min(frame.minY, dw.frame.minY); frame.maxY = Math.max(frame.maxY, dw.frame.maxY);
+    offset += dw.frame.maxX - dw.frame.minX + gap;
+  });
+  frame.maxX = offset - gap;
+  // thinnest annotations of the set decide the px conversion for the sheet
+  const scale = Math.max(...drawings.map(dw => dw.scale));
+  return { title, scale, frame, items, px: n => n / scale };
+}
+
+function downloadBlob(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* plan + section sheet exported as SVG or DXF */
+function exportDrawings(format) {
+  const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
+  if (!design) return alert('No design available.');
+  const paper = { width: 440, height: 380 };
+  const sheet = combineDrawings('Sedimentation tank — plan & section',
+    [buildPlanDrawing(design, paper), buildSectionDrawing(design, paper)]);
+  if (format === 'dxf') downloadBlob(drawingToDXF(sheet), 'sedimentation_tank.dxf', 'application/dxf');
+  else downloadBlob(drawingToSVG(sheet), 'sedimentation_tank.svg', 'image/svg+xml');
+}
+
+function drawPlan(d) {
+  const canvas = $('planCanvas');
+  renderDrawingToCanvas(canvas, buildPlanDrawing(d, canvas));
+}
+
+function drawSection(d) {
+  const canvas = $('sectionCanvas');
+  if (!canvas) return;
+  renderDrawingToCanvas(canvas, buildSectionDrawing(d, canvas));
+}
+
 /* 2D dimension helper */
 function drawDim2D(ctx,x1,y1,x2,y2,label,vertical=false){
   ctx.strokeStyle='#0b61a6'; ctx.lineWidth=1.2;
@@ -242,74 +1238,635 @@ function drawDim2D(ctx,x1,y1,x2,y2,label,vertical=false){
 
 /* ---------- Three.js 3D initialization and update ---------- */
 function initThree(d) {
+  threeViewer = createTankViewer($('threeContainer'), d, 0.18);
+  wireViewerControls(threeViewer);
+}
+
+/* Orbit (left drag), pan (right / shift drag) and zoom (wheel) around a target.
+   Written here because OrbitControls is not part of the three.min.js build. */
+function createOrbitControls(camera, dom, target = new THREE.Vector3()) {
+  const sph = new THREE.Spherical().setFromVector3(camera.position.clone().sub(target));
+  let drag = null, minR = 0.5, maxR = 2000;
+  const update = () => {
+    sph.phi = clamp(sph.phi, 0.01, Math.PI - 0.01);
+    sph.radius = clamp(sph.radius, minR, maxR);
+    camera.position.copy(target).add(new THREE.Vector3().setFromSpherical(sph));
+    camera.lookAt(target);
+  };
+  const pan = (dx, dy) => {
+    const perPx = 2 * sph.radius * Math.tan(camera.fov * Math.PI / 360) / dom.clientHeight;
+    camera.updateMatrix();
+    target.addScaledVector(new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0), -dx * perPx);
+    target.addScaledVector(new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1), dy * perPx);
+  };
+  const onDown = e => {
+    drag = { x: e.clientX, y: e.clientY, pan: e.button === 2 || e.shiftKey };
+    dom.setPointerCapture(e.pointerId);
+  };
+  const onMove = e => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+    drag.x = e.clientX; drag.y = e.clientY;
+    if (drag.pan) pan(dx, dy);
+    else { sph.theta -= 2 * Math.PI * dx / dom.clientHeight; sph.phi -= 2 * Math.PI * dy / dom.clientHeight; }
+    update();
+  };
+  const onUp = () => { drag = null; };
+  const onWheel = e => { e.preventDefault(); sph.radius *= e.deltaY > 0 ? 1.1 : 1 / 1.1; update(); };
+  const noMenu = e => e.preventDefault();
+  dom.style.touchAction = 'none';
+  dom.addEventListener('pointerdown', onDown);
+  dom.addEventListener('pointermove', onMove);
+  dom.addEventListener('pointerup', onUp);
+  dom.addEventListener('wheel', onWheel, { passive: false });
+  dom.addEventListener('contextmenu', noMenu);
+
+  return {
+    target,
+    // theta: around the vertical axis from +z, phi: from straight above
+    setView(theta, phi, radius) {
+      target.set(0, 0, 0);
+      sph.set(radius, phi, theta);
+      minR = radius / 20; maxR = radius * 10;
+      update();
+    },
+    update,
+    dispose() {
+      dom.removeEventListener('pointerdown', onDown);
+      dom.removeEventListener('pointermove', onMove);
+      dom.removeEventListener('pointerup', onUp);
+      dom.removeEventListener('wheel', onWheel);
+      dom.removeEventListener('contextmenu', noMenu);
+    }
+  };
+}
+
+const VIEW_PRESETS = {
+  top: [0, 0.01],
+  front: [0, Math.PI / 2],
+  iso: [Math.PI / 4, Math.acos(1 / Math.sqrt(3))]
+};
+
+/* Renderer, camera, lights, tank model and dimension labels in `container`, with orbit
+   controls, preset views, a section cut along x, layer toggles and resize handling.
+   Sets the threeRenderer / threeScene / threeCamera / threeMesh globals used for PNG capture. */
+function createTankViewer(container, d, opacity) {
   stopThree(); // ensure previous renderer stopped
 
-  threeContainer = $('threeContainer');
-  // create renderer
+  threeContainer = container;
+  const width = () => container.clientWidth || 440, height = () => container.clientHeight || 380;
   threeRenderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
-  threeRenderer.setSize(threeContainer.clientWidth, threeContainer.clientHeight);
-  threeContainer.innerHTML = ''; // clear
-  threeContainer.appendChild(threeRenderer.domElement);
+  threeRenderer.localClippingEnabled = true;
+  threeRenderer.setSize(width(), height());
+  container.innerHTML = ''; // clear
+  container.appendChild(threeRenderer.domElement);
 
-  // scene & camera
   threeScene = new THREE.Scene();
-  threeCamera = new THREE.PerspectiveCamera(50, threeContainer.clientWidth / threeContainer.clientHeight, 0.1, 2000);
-  threeCamera.position.set(0, d.depth * 4, d.L ? Math.max(d.L, d.B) * 1.6 : (d.Dia || 10) * 1.6);
-  threeCamera.lookAt(0,0,0);
+  threeCamera = new THREE.PerspectiveCamera(50, width() / height(), 0.1, 5000);
 
   // lights
-  const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+  const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.9);
   hemi.position.set(0, 200, 0); threeScene.add(hemi);
-  const dir = new THREE.DirectionalLight(0xffffff, 0.8); dir.position.set(50,50,50); threeScene.add(dir);
+  const dir = new THREE.DirectionalLight(0xffffff, 0.8); dir.position.set(50, 50, 50); threeScene.add(dir);
 
   // axes grid (subtle)
-  const grid = new THREE.GridHelper(500, 10, 0x222222, 0x222222); grid.material.opacity = 0.08; grid.material.transparent = true; threeScene.add(grid);
+  const grid = new THREE.GridHelper(500, 50, 0x888888, 0x888888); grid.material.opacity = 0.12; grid.material.transparent = true;
+  const g = tankGeometry(d);
+  grid.position.y = -d.depth / 2 - (d.sludge ? d.sludge.zoneDepth : 0) - g.floorDrop - g.hopper.depth;
+  threeScene.add(grid);
 
-  // geometry (box or cylinder) scaled to convenient units for visualization
-  let mesh;
-  if (d.tankType === 'horizontal') {
-    // use L (length along X), B (breadth along Z), depth H along Y
-    const L = d.L || 10, B = d.B || 4, H = d.depth || 3;
-    // scale the model to manageable visualization dimensions
-    const scale = 1; // we keep 1:1 meters => viewer sized by camera
-    const geom = new THREE.BoxGeometry(L*scale, H*scale, B*scale);
-    const mat = new THREE.MeshPhongMaterial({ color: 0x00b7ff, opacity:0.18, transparent:true, side:THREE.DoubleSide });
-    const wire = new THREE.MeshBasicMaterial({ color: 0x00b7ff, wireframe:true });
-    mesh = new THREE.Mesh(geom, mat);
-    const wireMesh = new THREE.Mesh(geom, wire);
-    const group = new THREE.Group(); group.add(mesh); group.add(wireMesh);
-    threeScene.add(group);
-    threeMesh = group;
-  } else {
-    // cylinder
-    const Dia = d.Dia || 8;
-    const H = d.depth || 3;
-    const geom = new THREE.CylinderGeometry(Dia/2, Dia/2, H, 48, 1, false);
-    const mat = new THREE.MeshPhongMaterial({ color:0x00b7ff, opacity:0.18, transparent:true, side:THREE.DoubleSide });
-    const wire = new THREE.MeshBasicMaterial({ color: 0x00b7ff, wireframe:true });
-    const meshC = new THREE.Mesh(geom, mat);
-    const wireC = new THREE.Mesh(geom, wire);
-    const group = new THREE.Group(); group.add(meshC); group.add(wireC);
-    threeScene.add(group);
-    threeMesh = group;
-  }
-
-  // center the mesh at origin
-  threeMesh.position.set(0, 0, 0);
-
-  // animate rotation
+  // tank model (1:1 metres) and dimension labels, which stay outside the section cut
+  threeMesh = buildTankModel(d, opacity);
+  threeScene.add(threeMesh);
+  const dims = buildDimensionLabels(d);
+  threeScene.add(dims);
+
+  const spanX = d.tankType === 'horizontal' ? d.L : d.Dia;
+  const extent = Math.max(spanX, d.B || 0, d.depth * 2);
+  const controls = createOrbitControls(threeCamera, threeRenderer.domElement);
+  // keeps x <= constant
+  const clipPlane = new THREE.Plane(new THREE.Vector3(-1, 0, 0), spanX / 2);
+  let cut = 1;
+
+  const viewer = {
+    model: threeMesh,
+    onFrame: null,   // (dt) => {} called before every render
+    setView(name) {
+      const [theta, phi] = VIEW_PRESETS[name] || VIEW_PRESETS.iso;
+      controls.setView(theta, phi, extent * 1.6);
+    },
+    setLayer(name, visible) {
+      const obj = name === 'dimensions' ? dims : threeMesh.getObjectByName(name);
+      if (obj) obj.visible = visible;
+    },
+    // fraction of the length (x) left visible; 1 = no cut. Re-apply after adding objects to the model.
+    setCut(fraction = cut) {
+      cut = clamp(fraction, 0, 1);
+      clipPlane.constant = -spanX / 2 + spanX * cut;
+      const planes = cut < 1 ? [clipPlane] : [];
+      threeMesh.traverse(o => { if (o.material) o.material.clippingPlanes = planes; });
+    },
+    dispose() {
+      controls.dispose();
+      resizeObserver?.disconnect();
+    }
+  };
+
+  // follow the container size
+  const resize = () => {
+    if (!threeRenderer) return;
+    threeRenderer.setSize(width(), height());
+    threeCamera.aspect = width() / height();
+    threeCamera.updateProjectionMatrix();
+  };
+  const resizeObserver = window.ResizeObserver ? new ResizeObserver(resize) : null;
+  resizeObserver?.observe(container);
+
+  viewer.setView('iso');
+  const clock = new THREE.Clock();
   function animate() {
     animateId = requestAnimationFrame(animate);
-    threeMesh.rotation.y += 0.006;
-    threeMesh.rotation.x += 0.001;
+    const dt = clock.getDelta();
+    if (viewer.onFrame) viewer.onFrame(dt);
     threeRenderer.render(threeScene, threeCamera);
   }
   animate();
+  return viewer;
+}
+
+/* Preset view buttons [data-view], layer checkboxes [data-layer] and the #clipCut slider */
+function wireViewerControls(viewer) {
+  document.querySelectorAll('[data-view]').forEach(btn => {
+    btn.addEventListener('click', () => viewer.setView(btn.dataset.view));
+  });
+  document.querySelectorAll('[data-layer]').forEach(box => {
+    viewer.setLayer(box.dataset.layer, box.checked);
+    box.addEventListener('change', () => viewer.setLayer(box.dataset.layer, box.checked));
+  });
+  $('clipCut')?.addEventListener('input', e => viewer.setCut(Number(e.target.value) / 100));
+}
+
+/* Camera-facing text label; height in metres */
+function textSprite(text, height) {
+  const canvas = document.createElement('canvas'), ctx = canvas.getContext('2d');
+  const font = 'bold 40px Arial';
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 24; canvas.height = 56;
+  ctx.font = font;
+  ctx.fillStyle = 'rgba(255,255,255,0.85)'; ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#003366'; ctx.textBaseline = 'middle'; ctx.fillText(text, 12, canvas.height / 2);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+  sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+  sprite.renderOrder = 10;
+  return sprite;
+}
+
+/* L / B / Ø and depth dimension lines with labels, just outside the tank */
+function buildDimensionLabels(d) {
+  const group = new THREE.Group(); group.name = 'dimensions';
+  const H = d.depth, rect = d.tankType === 'horizontal';
+  const size = Math.max(rect ? Math.max(d.L, d.B) : d.Dia, H);
+  const off = size * 0.06, tick = size * 0.02, textH = size * 0.045;
+  const mat = new THREE.LineBasicMaterial({ color: 0x12b0ff });
+  const V = (x, y, z) => new THREE.Vector3(x, y, z);
+  // dimension from a to b with end ticks along `t`, label pushed out along `n`
+  const dim = (a, b, t, n, label) => {
+    const pts = [a, b, a.clone().addScaledVector(t, -tick), a.clone().addScaledVector(t, tick), b.clone().addScaledVector(t, -tick), b.clone().addScaledVector(t, tick)];
+    group.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts), mat));
+    const s = textSprite(label, textH);
+    s.position.copy(a).add(b).multiplyScalar(0.5).addScaledVector(n, textH);
+    group.add(s);
+  };
+  const yB = -H / 2;
+  if (rect) {
+    const L = d.L, B = d.B;
+    dim(V(-L / 2, yB, B / 2 + off), V(L / 2, yB, B / 2 + off), V(0, 0, 1), V(0, -1, 0), `L = ${fmtU(L, 'length')}`);
+    dim(V(L / 2 + off, yB, -B / 2), V(L / 2 + off, yB, B / 2), V(1, 0, 0), V(0, -1, 0), `B = ${fmtU(B, 'length')}`);
+    dim(V(L / 2 + off, yB, B / 2 + off), V(L / 2 + off, H / 2, B / 2 + off), V(1, 0, 0), V(1, 0, 0), `D = ${fmtU(H, 'length')}`);
+  } else {
+    const R = d.Dia / 2;
+    dim(V(-R, yB, R + off), V(R, yB, R + off), V(0, 0, 1), V(0, -1, 0), `Ø = ${fmtU(d.Dia, 'length')}`);
+    dim(V(R + off, yB, 0), V(R + off, H / 2, 0), V(1, 0, 0), V(1, 0, 0), `D = ${fmtU(H, 'length')}`);
+  }
+  return group;
+}
+
+/* Tank shell plus type-specific internals (baffles, feed well, launders, floor, hoppers).
+   Centred on the origin: water from y = -depth/2 to +depth/2, floor and hoppers below. */
+function buildTankModel(d, opacity = 0.18) {
+  const g = tankGeometry(d);
+  const H = d.depth || 3;
+  const group = new THREE.Group();
+  const internals = new THREE.Group(); internals.name = 'internals';
+  const floor = new THREE.Group(); floor.name = 'floor';
+  const sludge = new THREE.Group(); sludge.name = 'sludge';
+  const water = new THREE.Group(); water.name = 'water';
+  const zone = d.sludge ? d.sludge.zoneDepth : 0; // floor sits below the sludge zone
+
+  const shellMat = new THREE.MeshPhongMaterial({ color: 0x00b7ff, opacity, transparent: true, side: THREE.DoubleSide });
+  const wireMat = new THREE.MeshBasicMaterial({ color: 0x00b7ff, wireframe: true });
+  const partMat = new THREE.MeshPhongMaterial({ color: 0xff9f1c, opacity: 0.7, transparent: true, side: THREE.DoubleSide });
+  const floorMat = new THREE.MeshPhongMaterial({ color: 0x7f8c8d, opacity: 0.45, transparent: true, side: THREE.DoubleSide });
+  const sludgeMat = new THREE.MeshPhongMaterial({ color: 0x8d6e63, opacity: 0.6, transparent: true });
+  const waterMat = new THREE.MeshPhongMaterial({ color: 0x4fc3f7, opacity: 0.35, transparent: true, side: THREE.DoubleSide, depthWrite: false });
+  const place = (parent, geom, mat, x, y, z) => {
+    const m = new THREE.Mesh(geom, mat); m.position.set(x, y, z); parent.add(m); return m;
+  };
+  // open cone with its apex pointing down, top rim at y
+  const downCone = (parent, r, h, segs, y, mat = floorMat, open = true) => {
+    const m = place(parent, new THREE.ConeGeometry(r, h, segs, 1, open), mat, 0, y - h / 2, 0);
+    m.rotation.x = Math.PI;
+    return m;
+  };
+  const floorTop = -H / 2 - zone;
+
+  let shellGeom;
+  if (d.tankType === 'horizontal') {
+    const L = d.L || 10, B = d.B || 4;
+    shellGeom = new THREE.BoxGeometry(L, H, B);
+    place(water, new THREE.PlaneGeometry(L, B), waterMat, 0, H / 2 - 0.05, 0).rotation.x = -Math.PI / 2;
+    // inlet baffle and outlet weir plate
+    place(internals, new THREE.BoxGeometry(0.05, g.inlet.baffleDepth, B), partMat, -L / 2 + g.inlet.baffleOffset, H / 2 - g.inlet.baffleDepth / 2, 0);
+    place(internals, new THREE.BoxGeometry(0.05, 0.4, B), partMat, L / 2 - g.outlet.launderWidth, H / 2 - 0.2, 0);
+    // pyramid hoppers across the width at the inlet end, filled with sludge
+    const top = g.hopper.top;
+    for (let i = 0; i < g.hopper.count; i++) {
+      const x = -L / 2 + top / 2, z = -B / 2 + top / 2 + i * top;
+      const hop = downCone(floor, top / Math.SQRT2, g.hopper.depth, 4, floorTop);
+      hop.rotation.y = Math.PI / 4; hop.position.x = x; hop.position.z = z;
+      if (zone) {
+        const fill = downCone(sludge, top / Math.SQRT2 * 0.98, g.hopper.depth * 0.98, 4, floorTop, sludgeMat, false);
+        fill.rotation.y = Math.PI / 4; fill.position.x = x; fill.position.z = z;
+      }
+    }
+    if (zone) place(sludge, new THREE.BoxGeometry(L, zone, B), sludgeMat, 0, -H / 2 - zone / 2, 0);
+  } else {
+    const R = (d.Dia || 8) / 2;
+    shellGeom = new THREE.CylinderGeometry(R, R, H, 48, 1, false);
+    place(water, new THREE.CircleGeometry(R, 48), waterMat, 0, H / 2 - 0.05, 0).rotation.x = -Math.PI / 2;
+    // sloping floor to the central hopper; sludge zone, floor cone and hopper filled
+    downCone(floor, R, g.floorDrop || 0.01, 48, floorTop);
+    downCone(floor, g.hopper.top / 2, g.hopper.depth, 32, floorTop - g.floorDrop);
+    if (zone) {
+      place(sludge, new THREE.CylinderGeometry(R, R, zone, 48), sludgeMat, 0, -H / 2 - zone / 2, 0);
+      downCone(sludge, R * 0.99, g.floorDrop || 0.01, 48, floorTop, sludgeMat, false);
+      downCone(sludge, g.hopper.top / 2 * 0.98, g.hopper.depth, 32, floorTop - g.floorDrop, sludgeMat, false);
+    }
+    const ring = (r, h, y) => place(internals, new THREE.CylinderGeometry(r, r, h, 48, 1, true), partMat, 0, y, 0);
+    if (d.tankType === 'peripheral') {
+      ring(R - g.inlet.channelWidth, g.inlet.skirtDepth, H / 2 - g.inlet.skirtDepth / 2);
+      ring(g.outlet.dia / 2, 0.4, H / 2 - 0.2);
+      ring(g.outlet.dia / 2 - g.outlet.launderWidth, 0.4, H / 2 - 0.2);
+    } else {
+      ring(g.inlet.dia / 2, g.inlet.depth, H / 2 - g.inlet.depth / 2);
+      ring(g.outlet.weirDia / 2, 0.4, H / 2 - 0.2);
+    }
+  }
+
+  const shell = new THREE.Group(); shell.name = 'shell';
+  shell.add(new THREE.Mesh(shellGeom, shellMat));
+  shell.add(new THREE.Mesh(shellGeom, wireMat));
+  group.add(shell); group.add(internals); group.add(floor); group.add(sludge); group.add(water);
+  return group;
+}
+
+/* ---------- Solid tank model: walls with thickness, floor slope and hoppers ---------- */
+const PLATE_THICKNESS = 0.1; // m, baffles, weirs and launders
+const SOLID_COLORS = { concrete: 0xa8a8a8, internals: 0xff9f1c };
+
+/* polyline [[x, y], ...] offset to its right by t[i] per segment (mitred joins) */
+function offsetPolyline(pts, t) {
+  const n = pts.slice(1).map((p, i) => {
+    const dx = p[0] - pts[i][0], dy = p[1] - pts[i][1], l = Math.hypot(dx, dy);
+    return [dy / l, -dx / l];
+  });
+  return pts.map((p, i) => {
+    const ia = Math.max(0, i - 1), ib = Math.min(n.length - 1, i);
+    const a = n[ia], b = n[ib], det = a[0] * b[1] - a[1] * b[0];
+    if (Math.abs(det) < 1e-9) return [p[0] + a[0] * t[ia], p[1] + a[1] * t[ia]];
+    // intersection of the two offset lines a·q = t[ia], b·q = t[ib] (relative to p)
+    return [p[0] + (t[ia] * b[1] - t[ib] * a[1]) / det, p[1] + (a[0] * t[ib] - b[0] * t[ia]) / det];
+  });
+}
+
+/* Watertight model for export, y = 0 at top water level (as the section drawing), metres.
+   Concrete: walls, sloping floor and hopper(s); internals: baffles, weirs, launders. */
+function buildSolidTankModel(d) {
+  const g = tankGeometry(d);
+  const st = d.structure || { wall: WALL_THICKNESS, base: BASE_THICKNESS };
+  const H = d.depth, hop = g.hopper, W = st.wall, T = st.base, P = PLATE_THICKNESS;
+  const zone = d.sludge ? d.sludge.zoneDepth : SLUDGE_ZONE_DEPTH;
+  const fb = d.sludge ? d.sludge.freeboard : FREEBOARD;
+  const yFloor = -H - zone, yFloorLow = yFloor - g.floorDrop, yBottom = yFloorLow - hop.depth;
+  const above = 0.15; // baffles project above TWL (as drawn in the section)
+  const rect = d.tankType === 'horizontal';
+
+  const group = new THREE.Group(); group.name = 'tank';
+  const concrete = new THREE.MeshStandardMaterial({ name: 'concrete', color: SOLID_COLORS.concrete });
+  const steel = new THREE.MeshStandardMaterial({ name: 'internals', color: SOLID_COLORS.internals });
+  const add = (name, geom, mat, x = 0, y = 0, z = 0) => {
+    const m = new THREE.Mesh(geom, mat); m.name = name; m.position.set(x, y, z); group.add(m); return m;
+  };
+  // solid of revolution from an (r, y) loop; inner profile from the axis out, thickened to its right
+  const lathe = (inner, t, segs) => {
+    const loop = [...inner, ...offsetPolyline(inner, t).reverse()];
+    if (inner[0][0] > 0) loop.push(loop[0]); // ring: close the loop off the axis
+    // lathe faces point outwards when the loop runs clockwise in (r, y)
+    return new THREE.LatheGeometry(loop.reverse().map(([r, y]) => new THREE.Vector2(r, y)), segs);
+  };
+  // prism from an (x, y) outline, extruded along z from z0 to z1
+  const prism = (outline, z0, z1) => {
+    const geom = new THREE.ExtrudeGeometry(new THREE.Shape(outline.map(([x, y]) => new THREE.Vector2(x, y))),
+      { depth: z1 - z0, bevelEnabled: false });
+    geom.translate(0, 0, z0);
+    return geom;
+  };
+
+  // section-plane rectangle [x0, x1] x [y0, y1] as a plate across the width or a ring
+  let part;
+  if (rect) {
+    const L = d.L, B = d.B, a = hop.top, x0 = -L / 2;
+    // end walls, side walls (following the floor), floor slab from the hopper edge to the outlet end
+    add('inlet wall', new THREE.BoxGeometry(W, fb - yBottom + T, B + 2 * W), concrete, x0 - W / 2, (fb + yBottom - T) / 2, 0);
+    add('outlet wall', new THREE.BoxGeometry(W, fb - yFloor + T, B + 2 * W), concrete, -x0 + W / 2, (fb + yFloor - T) / 2, 0);
+    const side = [[-W, fb], [L + W, fb], [L + W, yFloor - T], [a, yFloorLow - T], [a, yBottom - T], [-W, yBottom - T]]
+      .map(([x, y]) => [x0 + x, y]);
+    add('side wall', prism(side, B / 2, B / 2 + W), concrete);
+    add('side wall', prism(side, -B / 2 - W, -B / 2), concrete);
+    add('floor', prism([[a, yFloorLow], [L, yFloor], [L, yFloor - T], [a, yFloorLow - T]].map(([x, y]) => [x0 + x, y]), -B / 2, B / 2), concrete);
+    // pyramid hoppers: 4-sided lathe turned 45° (corner radius = side / √2), lip under the floor
+    for (let i = 0; i < hop.count; i++) {
+      const rt = hop.top / Math.SQRT2, rb = hop.bottom / Math.SQRT2;
+      const geom = lathe([[0, yBottom], [rb, yBottom], [rt, yFloorLow], [rt + W, yFloorLow]], [T, T, T], 4);
+      add('hopper', geom, concrete, x0 + a / 2, 0, -B / 2 + a / 2 + i * a).rotation.y = Math.PI / 4;
+    }
+    part = (name, x0p, x1p, y0, y1) =>
+      add(name, new THREE.BoxGeometry(x1p - x0p, y1 - y0, B), steel, x0 + (x0p + x1p) / 2, (y0 + y1) / 2, 0);
+  } else {
+    const R = d.Dia / 2, a = hop.top / 2, b = hop.bottom / 2;
+    // one solid of revolution: hopper, floor falling to the hopper, wall up to the freeboard
+    add('tank', lathe([[0, yBottom], [b, yBottom], [a, yFloorLow], [R, yFloor], [R, fb]], [T, T, T, W], 64), concrete);
+    part = (name, r0, r1, y0, y1) =>
+      add(name, lathe([[r0, y1], [r1, y1]], [y1 - y0], 64), steel);
+  }
+
+  // internals, as in the section drawing
+  const plate = (name, x, dir, y0, y1) => part(name, Math.min(x, x + dir * P), Math.max(x, x + dir * P), y0, y1);
+  const weir = (x, dir) => {
+    const lw = g.outlet.launderWidth, xs = x - dir * g.outlet.scumOffset, yw = -g.outlet.weirDepth;
+    plate('weir', x, dir, yw, g.outlet.crestHeight);
+    part('launder', Math.min(x, x + dir * lw), Math.max(x, x + dir * lw), yw - P, yw);
+    plate('scum baffle', xs, -dir, -g.outlet.scumDepth, above);
+  };
+  if (rect) {
+    plate('inlet baffle', g.inlet.baffleOffset, 1, -g.inlet.baffleDepth, above);
+    weir(d.L - g.outlet.launderWidth, 1);
+  } else if (d.tankType === 'peripheral') {
+    plate('skirt', d.Dia / 2 - g.inlet.channelWidth, -1, -g.inlet.skirtDepth, above);
+    weir(g.outlet.dia / 2, -1);
+  } else {
+    plate('feed well', g.inlet.dia / 2, 1, -g.inlet.depth, above);
+    weir(g.outlet.weirDia / 2, 1);
+  }
+  return group;
+}
+
+/* ---------- 3D model export: glTF (binary), OBJ, STL ---------- */
+/* world-space triangles per mesh: [{ name, material, positions: Float32Array }] */
+function modelMeshes(root) {
+  root.updateMatrixWorld(true);
+  const out = [];
+  root.traverse(o => {
+    if (!o.isMesh) return;
+    const geom = (o.geometry.index ? o.geometry.toNonIndexed() : o.geometry.clone()).applyMatrix4(o.matrixWorld);
+    const src = geom.attributes.position.array, keep = [];
+    for (let i = 0; i < src.length; i += 9) {
+      // drop zero-area triangles (lathe apex on the axis)
+      const n = triangleNormal(src, i);
+      if (n) keep.push(...src.subarray(i, i + 9));
+    }
+    out.push({ name: o.name, material: o.material, positions: new Float32Array(keep) });
+  });
+  return out;
+}
+
+/* unit normal of the triangle at p[i..i+8], or null when degenerate */
+function triangleNormal(p, i) {
+  const ax = p[i + 3] - p[i], ay = p[i + 4] - p[i + 1], az = p[i + 5] - p[i + 2];
+  const bx = p[i + 6] - p[i], by = p[i + 7] - p[i + 1], bz = p[i + 8] - p[i + 2];
+  const nx = ay * bz - az * by, ny = az * bx - ax * bz, nz = ax * by - ay * bx, l = Math.hypot(nx, ny, nz);
+  return l > 1e-12 ? [nx / l, ny / l, nz / l] : null;
+}
+
+/* binary STL, metres, z up (as most CAD and slicers expect) */
+function modelToSTL(root) {
+  const parts = modelMeshes(root);
+  const count = parts.reduce((n, p) => n + p.positions.length / 9, 0);
+  const buf = new ArrayBuffer(84 + 50 * count), dv = new DataView(buf);
+  const header = 'Sedimentation tank, metres, Z up';
+  for (let i = 0; i < header.length; i++) dv.setUint8(i, header.charCodeAt(i));
+  dv.setUint32(80, count, true);
+  let o = 84;
+  const put = (x, y, z) => { dv.setFloat32(o, x, true); dv.setFloat32(o + 4, -z, true); dv.setFloat32(o + 8, y, true); o += 12; };
+  parts.forEach(({ positions: p }) => {
+    for (let i = 0; i < p.length; i += 9) {
+      put(...triangleNormal(p, i));
+      for (let v = i; v < i + 9; v += 3) put(p[v], p[v + 1], p[v + 2]);
+      o += 2; // attribute byte count
+    }
+  });
+  return buf;
+}
+
+/* Wavefront OBJ, metres, y up; one object per part, flat normals */
+function modelToOBJ(root) {
+  const lines = ['# Sedimentation tank — metres, Y up'];
+  let nv = 0, nn = 0;
+  modelMeshes(root).forEach(({ name, material, positions: p }, k) => {
+    lines.push(`o ${name.replace(/\s+/g, '_')}_${k + 1}`, `usemtl ${material.name}`);
+    for (let i = 0; i < p.length; i += 9) {
+      for (let v = i; v < i + 9; v += 3) lines.push(`v ${p[v].toFixed(4)} ${p[v + 1].toFixed(4)} ${p[v + 2].toFixed(4)}`);
+      lines.push(`vn ${triangleNormal(p, i).map(c => c.toFixed(5)).join(' ')}`);
+      nn++;
+      lines.push(`f ${nv + 1}//${nn} ${nv + 2}//${nn} ${nv + 3}//${nn}`);
+      nv += 3;
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+/* glTF 2.0 binary (.glb): one node per part, flat normals, material base colours */
+function modelToGLB(root) {
+  const parts = modelMeshes(root);
+  const json = {
+    asset: { version: '2.0', generator: 'Sedimentation tank design' },
+    scene: 0, scenes: [{ name: 'Sedimentation tank', nodes: parts.map((_, i) => i) }],
+    nodes: [], meshes: [], materials: [], accessors: [], bufferViews: [], buffers: []
+  };
+  const matIndex = new Map(), chunks = [];
+  let byteLength = 0;
+  const view = (data, extra) => {
+    json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: data.byteLength, target: 34962 });
+    json.accessors.push({ bufferView: json.bufferViews.length - 1, componentType: 5126, count: data.length / 3, type: 'VEC3', ...extra });
+    chunks.push(data); byteLength += data.byteLength;
+    return json.accessors.length - 1;
+  };
+  parts.forEach(({ name, material, positions: p }, i) => {
+    if (!matIndex.has(material.name)) {
+      const c = material.color; // linear RGB, as glTF expects
+      json.materials.push({ name: material.name, pbrMetallicRoughness: { baseColorFactor: [c.r, c.g, c.b, 1], metallicFactor: 0, roughnessFactor: 0.9 } });
+      matIndex.set(material.name, json.materials.length - 1);
+    }
+    const normals = new Float32Array(p.length), min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (let t = 0; t < p.length; t += 9) {
+      const n = triangleNormal(p, t);
+      for (let v = t; v < t + 9; v += 3) {
+        normals.set(n, v);
+        for (let k = 0; k < 3; k++) { min[k] = Math.min(min[k], p[v + k]); max[k] = Math.max(max[k], p[v + k]); }
+      }
+    }
+    const position = view(p, { min, max }), normal = view(normals);
+    json.meshes.push({ name, primitives: [{ attributes: { POSITION: position, NORMAL: normal }, material: matIndex.get(material.name) }] });
+    json.nodes.push({ name, mesh: i });
+  });
+  json.buffers.push({ byteLength });
+
+  // GLB container: 12-byte header, JSON chunk (space padded), BIN chunk (zero padded)
+  const enc = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLen = Math.ceil(enc.length / 4) * 4, binLen = Math.ceil(byteLength / 4) * 4;
+  const out = new Uint8Array(12 + 8 + jsonLen + 8 + binLen), dv = new DataView(out.buffer);
+  dv.setUint32(0, 0x46546C67, true); dv.setUint32(4, 2, true); dv.setUint32(8, out.length, true);
+  dv.setUint32(12, jsonLen, true); dv.setUint32(16, 0x4E4F534A, true);
+  out.fill(0x20, 20, 20 + jsonLen); out.set(enc, 20);
+  let o = 20 + jsonLen;
+  dv.setUint32(o, binLen, true); dv.setUint32(o + 4, 0x004E4942, true); o += 8;
+  chunks.forEach(c => { out.set(new Uint8Array(c.buffer, c.byteOffset, c.byteLength), o); o += c.byteLength; });
+  return out.buffer;
+}
+
+const MODEL_FORMATS = {
+  gltf: { ext: 'glb', type: 'model/gltf-binary', write: modelToGLB },
+  obj: { ext: 'obj', type: 'text/plain', write: modelToOBJ },
+  stl: { ext: 'stl', type: 'model/stl', write: modelToSTL }
+};
+
+/* solid tank model of the current design as glTF / OBJ / STL */
+function exportModel(format) {
+  const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
+  if (!design) return alert('No design available.');
+  const f = MODEL_FORMATS[format];
+  downloadBlob(f.write(buildSolidTankModel(design)), `sedimentation_tank.${f.ext}`, f.type);
+}
+
+/* ---------- 3D particle settling simulation ---------- */
+const SIM_PARTICLES = 500;
+const SIM_DETENTION_SECONDS = 20; // one (ideal) detention time plays in 20 s at speed 1
+
+/* Particles enter at the inlet, ride the flow field of the tank type, settle at their
+   class velocity and are counted removed (reach the sludge zone) or escaped (reach the outlet).
+   shortCircuit (0..1) concentrates the through-flow into part of the plan area (the rest
+   is dead zone), which raises the effective overflow rate, and adds turbulence. */
+function createSettlingSim(d, parent) {
+  const g = tankGeometry(d);
+  const H = d.depth, Q = d.Q_m3_s;
+  const R = (d.Dia || 0) / 2;
+  const classes = (d.settling && d.settling.classes.length)
+    ? d.settling.classes
+    : [{ d_mm: 0.02, frac: 1, vs: settlingVelocity(2e-5, 2.65, 20).vs }];
+  const tDet = Q > 0 ? (d.planArea * H) / Q : 1; // s, ideal detention of the settling zone
+  const active = () => 1 - 0.6 * sim.shortCircuit; // fraction of plan area carrying the flow
+
+  // inlet position, flow velocity and outlet test per tank type
+  let spawn, velocity, escaped;
+  if (d.tankType === 'horizontal') {
+    const L = d.L, B = d.B, xIn = -L / 2 + g.inlet.baffleOffset, xOut = L / 2 - g.outlet.launderWidth;
+    const vh = Q / (B * H);
+    spawn = p => { p[0] = xIn; p[1] = (Math.random() - 0.5) * H; p[2] = (Math.random() - 0.5) * B * active(); };
+    velocity = () => [vh / active(), 0, 0];
+    escaped = p => p[0] >= xOut;
+  } else if (d.tankType === 'vertical') {
+    const vUp = Q / d.planArea;
+    spawn = p => { const a = Math.random() * Math.PI * 2, r = Math.sqrt(Math.random() * active()) * R * 0.95; p[0] = r * Math.cos(a); p[1] = H / 2 - g.inlet.depth; p[2] = r * Math.sin(a); };
+    velocity = () => [0, vUp / active(), 0];
+    escaped = p => p[1] >= H / 2;
+  } else {
+    // radial: outward from the feed well; peripheral: inward from the skirt to the central outlet
+    const inward = d.tankType === 'peripheral';
+    const rIn = inward ? R - g.inlet.channelWidth : g.inlet.dia / 2;
+    const rOut = inward ? g.outlet.dia / 2 : g.outlet.weirDia / 2;
+    const hIn = inward ? g.inlet.skirtDepth : g.inlet.depth;
+    spawn = p => { const a = Math.random() * Math.PI * 2 * active(); p[0] = rIn * Math.cos(a); p[1] = H / 2 - hIn - Math.random() * (H - hIn); p[2] = rIn * Math.sin(a); };
+    velocity = p => {
+      const r = Math.max(Math.hypot(p[0], p[2]), 0.1);
+      const ur = (inward ? -1 : 1) * Q / (2 * Math.PI * r * H * active());
+      return [ur * p[0] / r, 0, ur * p[2] / r];
+    };
+    escaped = p => { const r = Math.hypot(p[0], p[2]); return inward ? r <= rOut : r >= rOut; };
+  }
+
+  // particle buffers, coloured by size class
+  const pos = new Float32Array(SIM_PARTICLES * 3), col = new Float32Array(SIM_PARTICLES * 3);
+  const cls = new Uint8Array(SIM_PARTICLES), delay = new Float32Array(SIM_PARTICLES);
+  const colours = classes.map((c, i) => new THREE.Color().setHSL(0.08 + 0.6 * i / Math.max(classes.length - 1, 1), 0.9, 0.45));
+  const pickClass = () => {
+    let u = Math.random();
+    for (let i = 0; i < classes.length; i++) { u -= classes[i].frac; if (u <= 0) return i; }
+    return classes.length - 1;
+  };
+  const respawn = (i, stagger) => {
+    const p = pos.subarray(i * 3, i * 3 + 3);
+    spawn(p);
+    cls[i] = pickClass();
+    colours[cls[i]].toArray(col, i * 3);
+    delay[i] = stagger ? Math.random() * tDet : 0;
+  };
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+  geom.setAttribute('color', new THREE.BufferAttribute(col, 3));
+  const size = Math.max(d.L || d.Dia || 10, 1) / 120;
+  const points = new THREE.Points(geom, new THREE.PointsMaterial({ size, vertexColors: true }));
+  points.name = 'particles';
+  parent.add(points);
+
+  const sim = {
+    playing: true, speed: 1, shortCircuit: 0, removed: 0, escaped: 0, time: 0,
+    expected: d.settling ? d.settling.overall : NaN,
+    get removal() { const n = sim.removed + sim.escaped; return n ? sim.removed / n : NaN; },
+    step(dtReal) {
+      if (!sim.playing) return;
+      const dt = Math.min(dtReal, 0.1) * sim.speed * tDet / SIM_DETENTION_SECONDS; // s of tank time
+      const turb = sim.shortCircuit * 0.2 * H / tDet; // random-walk intensity
+      sim.time += dt;
+      for (let i = 0; i < SIM_PARTICLES; i++) {
+        if (delay[i] > 0) { delay[i] -= dt; continue; }
+        const p = pos.subarray(i * 3, i * 3 + 3);
+        const u = velocity(p);
+        p[0] += u[0] * dt + (Math.random() - 0.5) * turb * dt;
+        p[1] += (u[1] - classes[cls[i]].vs) * dt + (Math.random() - 0.5) * turb * dt;
+        p[2] += u[2] * dt;
+        if (p[1] <= -H / 2) { sim.removed++; respawn(i, false); }
+        else if (escaped(p)) { sim.escaped++; respawn(i, false); }
+        else if (p[1] > H / 2) p[1] = H / 2;
+      }
+      geom.attributes.position.needsUpdate = true;
+      geom.attributes.color.needsUpdate = true;
+    },
+    reset() {
+      sim.removed = 0; sim.escaped = 0; sim.time = 0;
+      for (let i = 0; i < SIM_PARTICLES; i++) respawn(i, true);
+      geom.attributes.position.needsUpdate = true;
+    },
+    dispose() { parent.remove(points); geom.dispose(); points.material.dispose(); }
+  };
+  sim.reset();
+  return sim;
 }
 
 /* Stop three animation and dispose */
 function stopThree() {
   if (animateId) cancelAnimationFrame(animateId);
+  if (threeViewer) { threeViewer.dispose(); threeViewer = null; }
   if (threeRenderer) {
     try {
       threeRenderer.forceContextLoss();
@@ -324,46 +1881,352 @@ function stopThree() {
 function updateMeasurementsBox(d) {
   const box = $('measurements');
   const parts = [];
-  parts.push(`<strong>Plan area:</strong> ${fmt(d.planArea,2)} m²`);
-  if (d.tankType === 'horizontal') parts.push(`<strong>Dimensions:</strong> L = ${fmt(d.L,2)} m | B = ${fmt(d.B,2)} m | D = ${fmt(d.depth,2)} m`);
-  else parts.push(`<strong>Dimensions:</strong> Ø = ${fmt(d.Dia,2)} m | D = ${fmt(d.depth,2)} m`);
-  parts.push(`<strong>Volume (area×depth):</strong> ${fmt(d.V_area,2)} m³`);
-  box.innerHTML = parts.join(' &nbsp; | &nbsp; ');
+  parts.push(`<strong>Plan area:</strong> ${fmtU(d.planArea, 'area', 2)}`);
+  if (d.tankType === 'horizontal') parts.push(`<strong>Dimensions:</strong> L = ${fmtU(d.L, 'length', 2)} | B = ${fmtU(d.B, 'length', 2)} | D = ${fmtU(d.depth, 'length', 2)}`);
+  else parts.push(`<strong>Dimensions:</strong> Ø = ${fmtU(d.Dia, 'length', 2)} | D = ${fmtU(d.depth, 'length', 2)}`);
+  parts.push(`<strong>Volume (area×depth):</strong> ${fmtU(d.V_area, 'volume', 2)}`);
+  let html = parts.join(' &nbsp; | &nbsp; ');
+  if (d.hydraulics) {
+    const checks = d.hydraulics.checks.map(c => `${c.label}: ${checkValue(c)} ${flag(c.status)}`);
+    html += '<br>' + checks.join(' &nbsp; | &nbsp; ');
+  }
+  box.innerHTML = html;
 }
 
-/* ---------- Combined PNG download (plan canvas + current 3D renderer image) ---------- */
-async function downloadCombinedPNG() {
+/* ---------- Calculation steps (formula, substituted values, result) ---------- */
+/* Plain-text formulas (PDF standard fonts only carry WinAnsi: ², ³, ×, Ø, µ, ° but no √ or Greek).
+   Values follow the chosen unit system. Formulas with SI constants in them (/ 1000, 86400,
+   g = 9.81, ...) are substituted in SI; in US units such a step is marked (SI) and its result
+   is given in both systems. The settling physics stays SI throughout. */
+function calcSteps(d) {
+  const sections = [];
+  const step = (label, formula, subst, result) => ({ label, formula, subst, result });
+  const pl = d.plant, pr = pl && pl.projection;
+  const us = unitSystem() === 'US';
+  const n = (v, kind, dp = 2) => fmt(toUnits(v, kind), dp);                    // number in the chosen units
+  const q = (v, kind, dp = 2) => fmtU(v, kind, dp);                            // ... with its unit
+  const si = subst => (us && subst ? `${subst}   (SI)` : subst);              // substitution made in SI
+  const both = (v, kind, dp = 2) => (us ? `${fmt(v, dp)} ${UNIT_KINDS[kind].SI[0]} = ${q(v, kind, dp)}` : q(v, kind, dp));
+
+  // 1. flow
+  const flow = [];
+  if (pr && pr.method === 'arithmetic') flow.push(step('Design population', 'Pn = P0 + n·x_avg', `${fmt(pl.P0,0)} + ${fmt(pr.n,2)} × ${fmt(pr.xbar,1)}`, `${pl.P.toLocaleString()} persons`));
+  if (pr && pr.method === 'geometric') flow.push(step('Design population', 'Pn = P0·(1 + r)^n', `${fmt(pl.P0,0)} × (1 + ${fmt(pr.r,4)})^${fmt(pr.n,2)}`, `${pl.P.toLocaleString()} persons`));
+  if (pr && pr.method === 'incremental') flow.push(step('Design population', 'Pn = P0 + n·x_avg + n(n+1)/2·y_avg', `${fmt(pl.P0,0)} + ${fmt(pr.n,2)} × ${fmt(pr.xbar,1)} + ${fmt(pr.n * (pr.n + 1) / 2,2)} × ${fmt(pr.ybar,1)}`, `${pl.P.toLocaleString()} persons`));
+  if (pl && pl.P === null) {
+    flow.push(step('Average daily flow', 'Q = C × 1000', si(`${fmt(pl.capacity,3)} MLD × 1000`), both(pl.Q_avg_day, 'flow', 3)));
+  } else if (pl) {
+    flow.push(step('Average daily demand', 'Q = P × pcd / 1000', si(`${pl.P.toLocaleString()} × ${d.pcd} / 1000`), both(pl.Q_avg_day, 'flow', 3)));
+  }
+  if (pl) {
+    flow.push(step('Peak design flow', 'Qp = Q × PF', `${n(pl.Q_avg_day,'flow',3)} × ${fmt(pl.peakFactor,2)}`, q(pl.Q_peak_day, 'flow', 3)));
+    flow.push(step('Flow per unit', 'Qu = Qp / N', `${n(pl.Q_peak_day,'flow',3)} / ${pl.units}`, q(d.Q_day_m3, 'flow', 3)));
+  }
+  flow.push(step('Flow per unit (per second)', 'Qs = Qu / 86400', si(`${fmt(d.Q_day_m3,2)} / 86400`), both(d.Q_m3_s, 'flowS', 6)));
+  sections.push({ title: d.mode === 'check' ? 'Current flow' : 'Design flow', steps: flow });
+
+  // 2-3. existing tank (check mode), or area, volumes, governing volume and dimensions
+  if (d.mode === 'check') {
+    sections.push({ title: 'Existing tank', steps: [
+      d.tankType === 'horizontal'
+        ? step('Plan area', 'A = L × B', `${n(d.L,'length')} × ${n(d.B,'length')}`, q(d.planArea, 'area'))
+        : step('Plan area', 'A = pi × Ø² / 4', `3.1416 × ${n(d.Dia,'length')}² / 4`, q(d.planArea, 'area')),
+      step('Volume', 'V = A × D', si(`${fmt(d.planArea,2)} × ${fmt(d.depth,2)}`), both(d.controllingVolume, 'volume')),
+      step('Surface overflow rate', 'SOR = Qu / A', si(`${fmt(d.Q_day_m3,2)} / ${fmt(d.planArea,2)}`), both(d.SOR_m3_m2_day, 'sor', 3)),
+      step('Detention time', 't = V / Qs / 3600', si(`${fmt(d.controllingVolume,2)} / ${fmt(d.Q_m3_s,6)} / 3600`), `${fmt(d.detentionActual,2)} h`)
+    ] });
+  } else {
+    // sized on the calculated values (d.raw), then rounded up to the buildable size
+    const r = d.raw || d, rect = d.tankType === 'horizontal';
+    const governs = r.V_area >= d.V_det ? 'V_area' : 'V_det';
+    sections.push({ title: 'Plan area and volume', steps: [
+      step('Surface overflow rate', 'SOR = SOR_L / 1000', si(`${fmt(r.SOR_m3_m2_day * 1000,0)} / 1000`), both(r.SOR_m3_m2_day, 'sor', 3)),
+      step('Plan area', 'A = Qu / SOR', si(`${fmt(d.Q_day_m3,2)} / ${fmt(r.SOR_m3_m2_day,3)}`), both(r.planArea, 'area')),
+      step('Volume by detention', 'V_det = Qs × t × 3600', si(`${fmt(d.Q_m3_s,6)} × ${fmt(d.detention,2)} × 3600`), both(d.V_det, 'volume')),
+      step('Volume by area × depth', 'V_area = A × D', si(`${fmt(r.planArea,2)} × ${fmt(r.depth,2)}`), both(r.V_area, 'volume')),
+      step('Governing volume', 'V = max(V_det, V_area)', `max(${n(d.V_det,'volume')}, ${n(r.V_area,'volume')}) — ${governs} governs`, q(r.controllingVolume, 'volume'))
+    ] });
+
+    const dims = rect ? [
+      step('Length', 'L = sqrt(A × r)', `sqrt(${n(r.planArea,'area')} × ${d.lbr})`, q(r.L, 'length')),
+      step('Breadth', 'B = A / L', `${n(r.planArea,'area')} / ${n(r.L,'length')}`, q(r.B, 'length'))
+    ] : [
+      step('Diameter', 'Ø = sqrt(4A / pi)', `sqrt(4 × ${n(r.planArea,'area')} / 3.1416)`, q(r.Dia, 'length'))
+    ];
+    if (d.raw) {
+      const st = d.structure;
+      dims.push(
+        step('Buildable size', 'x_r = ceil(x / s) × s', `s = ${q(st.roundPlan,'length')} (plan), ${q(st.roundDepth,'length')} (depth)`,
+          rect ? `${n(d.L,'length')} × ${n(d.B,'length')} × ${q(d.depth,'length')}` : `Ø ${n(d.Dia,'length')} × ${q(d.depth,'length')}`),
+        rect ? step('Plan area provided', 'A_r = L_r × B_r', `${n(d.L,'length')} × ${n(d.B,'length')}`, q(d.planArea, 'area'))
+          : step('Plan area provided', 'A_r = pi × Ø_r² / 4', `3.1416 × ${n(d.Dia,'length')}² / 4`, q(d.planArea, 'area')),
+        step('Actual SOR', 'SOR = Qu / A_r', si(`${fmt(d.Q_day_m3,2)} / ${fmt(d.planArea,2)}`), both(d.SOR_m3_m2_day, 'sor', 3)),
+        step('Detention provided', 't = max(V_det, A_r × D_r) / Qs / 3600', si(`${fmt(d.controllingVolume,2)} / ${fmt(d.Q_m3_s,6)} / 3600`), `${fmt(d.detentionActual,2)} h`)
+      );
+    }
+    sections.push({ title: 'Dimensions', steps: dims });
+  }
+
+  // 4. settling
+  const s = d.settling;
+  if (s) {
+    const rows = [
+      step('Overflow (Hazen) velocity', 'vo = SOR / 86400', `${fmt(d.SOR_m3_m2_day,3)} / 86400`, `${(s.vo).toExponential(3)} m/s`),
+      step(`Water at ${both(s.tempC, 'temp', 1)}`, 'rho_w(T); µ(T) by Vogel equation', '', `${fmt(s.rho_w,1)} kg/m³, ${s.mu.toExponential(3)} Pa·s`),
+      step('Critical particle (Stokes)', 'dc = sqrt(18·µ·vo / (g·(rho_s - rho_w)))', `sqrt(18 × ${s.mu.toExponential(3)} × ${s.vo.toExponential(3)} / (9.81 × (${fmt(s.sg * 1000,0)} - ${fmt(s.rho_w,1)})))`, `${fmt(s.dc_mm * 1000,1)} µm`)
+    ];
+    rows.push(step('Settling velocity per class', 'Stokes: vs = g(rho_s - rho_w)d² / 18µ\nRe > 1: Cd = 24/Re + 3/sqrt(Re) + 0.34\nremoval r = min(1, vs / vo)', '', ''));
+    s.classes.forEach(c => rows.push(step(`d = ${fmt(c.d_mm * 1000,1)} µm (${fmt(c.frac * 100,1)} %)`,
+      `vs = ${c.vs.toExponential(3)} m/s, Re = ${fmt(c.Re,3)} (${c.regime})`, '', `r = ${fmt(c.removal * 100,1)} %`)));
+    if (s.column) rows.push(step('Column test (Type II)', 't* = H / vo; R = depth-average of % removed at t*', `t* = ${fmt(s.column.H,2)} / ${s.vo.toExponential(3)} / 60`, `${fmt(s.column.tStar,1)} min`));
+    const verdict = s.meetsTarget === null ? '' : `   (target ${fmt(s.target * 100,0)} % ${s.meetsTarget ? 'met' : 'NOT met'})`;
+    rows.push(step('Overall removal', (s.type === 'flocculent' ? 'R from column test' : 'R = sum(f × r)') + verdict, '', `${fmt(s.overall * 100,1)} %`));
+    sections.push({ title: us ? 'Particle settling (SI)' : 'Particle settling', steps: rows });
+  }
+
+  // 5. hydraulics
+  const h = d.hydraulics;
+  if (h) {
+    const sec = flowSection(d);
+    sections.push({ title: 'Hydraulic checks', steps: [
+      step('Horizontal velocity', 'vh = Qs / (W × h) × 60', si(`${fmt(d.Q_m3_s,6)} / (${fmt(sec.width,2)} × ${fmt(sec.height,2)}) × 60`), both(h.vh * 60, 'velocity', 3)),
+      step('Scour velocity (Camp)', 'vsc = sqrt(8k(s - 1)gd / f) × 60', si(`sqrt(8 × ${CAMP_K} × ${fmt(s ? s.sg - 1 : 1.65,2)} × 9.81 × ${(h.dScour_mm / 1000).toExponential(3)} / ${DARCY_F}) × 60`), both(h.vScour * 60, 'velocity', 3)),
+      step('Weir loading', 'q = Qu / Lw', si(`${fmt(d.Q_day_m3,2)} / ${fmt(d.weirLength,2)}`), both(d.weirLoading, 'weir', 1)),
+      step('Hydraulic radius', 'R = W·h / (W + 2h)', `${n(sec.width,'length')} × ${n(sec.height,'length')} / (${n(sec.width,'length')} + 2 × ${n(sec.height,'length')})`, q(h.Rh, 'length', 3)),
+      step('Reynolds number', 'Re = vh·R / nu', si(`${h.vh.toExponential(3)} × ${fmt(h.Rh,3)} / ${(s ? s.nu : 1.004e-6).toExponential(3)}`), fmt(h.Re,0)),
+      step('Froude number', 'Fr = vh² / (g·R)', si(`${h.vh.toExponential(3)}² / (9.81 × ${fmt(h.Rh,3)})`), h.Fr.toExponential(2))
+    ] });
+  }
+
+  // 6. sludge
+  const sl = d.sludge;
+  if (sl) {
+    sections.push({ title: 'Sludge', steps: [
+      step('Dry solids', 'M = Qu × TSS × r / 1000', si(`${fmt(d.Q_day_m3,2)} × ${fmt(sl.tss,0)} × ${fmt(sl.removal,3)} / 1000`), both(sl.drySolids, 'mass', 1)),
+      step('Wet sludge volume', 'Vs = M / (1000 × Ss × Ps)', si(`${fmt(sl.drySolids,1)} / (1000 × ${fmt(sl.sg,2)} × ${fmt(sl.solids,3)})`), both(sl.volumePerDay, 'smallFlow')),
+      step('Storage', 'V = V_hopper + V_zone', `${n(sl.hopperVolume,'volume')} + ${n(sl.zoneVolume,'volume')}`, q(sl.storage, 'volume')),
+      step('Desludging interval', 'T = V / Vs', `${n(sl.storage,'volume')} / ${n(sl.volumePerDay,'smallFlow')}`, `${fmt(sl.interval,1)} days`),
+      step('Overall depth', 'D_total = D + sludge zone + freeboard', `${n(d.depth,'length')} + ${n(sl.zoneDepth,'length')} + ${n(sl.freeboard,'length')}`, q(sl.totalDepth, 'length'))
+    ] });
+  }
+
+  // 7. construction quantities and bill of quantities (all tanks)
+  const qt = d.quantities;
+  if (qt) {
+    const st = d.structure, g = d.geometry, hop = g.hopper, boq = billOfQuantities(d, rateTable());
+    const rect = d.tankType === 'horizontal';
+    sections.push({ title: 'Construction quantities (per tank)', steps: [
+      step('Wall height', 'Hw = D + sludge zone + freeboard' + (rect ? ' + drop / 2' : ''), `${n(d.depth,'length')} + ${n(d.sludge.zoneDepth,'length')} + ${n(st.freeboard,'length')}${rect ? ` + ${n(g.floorDrop / 2,'length')}` : ''}`, q(qt.wallHeight, 'length')),
+      step('Concrete — walls', rect ? 'Vw = ((L + 2t)(B + 2t) - L·B) × Hw' : 'Vw = pi((R + t)² - R²) × Hw', `t = ${q(st.wall,'length')}`, q(qt.concrete.walls, 'bulk')),
+      step('Concrete — base slab', 'Vb = (outer plan - hopper openings) × tb', `tb = ${q(st.base,'length')}`, q(qt.concrete.base, 'bulk')),
+      step('Concrete — hoppers', 'Vh = n × (sloping faces + bottom) × tb', `${hop.count} × ${hop.shape}, ${n(hop.top,'length')} / ${q(hop.bottom,'length')}, ${q(hop.depth,'length')} deep`, q(qt.concrete.hoppers, 'bulk')),
+      step('Concrete — total', 'Vc = Vw + Vb + Vh', `${n(qt.concrete.walls,'bulk')} + ${n(qt.concrete.base,'bulk')} + ${n(qt.concrete.hoppers,'bulk')}`, q(qt.concrete.total, 'bulk')),
+      step('Reinforcement', 'Ws = Vc × steel ratio', `${n(qt.concrete.total,'bulk')} × ${n(st.steelRatio,'steel',0)}`, q(qt.reinforcement, 'weight', 0)),
+      step('Excavation', 'Ve = outer plan (+ working space) × depth to base + hoppers', `depth ${q(qt.digDepth,'length')} below TWL, ${q(EXCAVATION_MARGIN,'length',1)} working space`, q(qt.excavation, 'bulk', 1))
+    ] });
+    sections.push({ title: `Bill of quantities (${boq.tanks} tank${boq.tanks > 1 ? 's' : ''}, ${boq.currency})`, steps: [
+      ...boq.lines.map(l => step(l.label, 'amount = quantity × rate', `${q(l.qty, l.kind, 1)} × ${fmt(fromUnits(l.rate, l.kind), 2)} / ${unitOf(l.kind)}`, `${boq.currency} ${fmt(l.amount,0)}`)),
+      step('Total (first budget estimate)', '', '', `${boq.currency} ${fmt(boq.total,0)}`)
+    ] });
+  }
+
+  // 8. capacity of an existing tank: largest flow per unit under each limit
+  const cap = d.capacity;
+  if (cap) {
+    const c = DESIGN_CRITERIA[d.process] || DESIGN_CRITERIA.plain, sec = flowSection(d);
+    const how = {
+      sor: ['Qu = A × SOR_max', si(`${fmt(d.planArea,2)} × ${c.sor[1]}`)],
+      detention: ['Qu = V × 24 / t_min', si(`${fmt(d.controllingVolume,2)} × 24 / ${c.detention[0]}`)],
+      vh: ['Qu = W × h × vh_max × 1440', si(`${fmt(sec.width,2)} × ${fmt(sec.height,2)} × ${c.vh[1]} × 1440`)],
+      weirLoading: ['Qu = Lw × q_max', si(`${fmt(d.weirLength,2)} × ${c.weirLoading[1]}`)],
+      scour: ['vh = vsc (solved by iteration)', ''],
+      removal: [`R = ${fmt(d.settling.target * 100,0)} % (solved by iteration)`, '']
+    };
+    const rows = cap.limits.map(l => step(l.label + (l.key === cap.governing ? ' — governs' : ''), ...how[l.key],
+      l.Q_unit === null ? 'not met at any flow' : both(l.Q_unit, 'flow', 3)));
+    if (cap.governing) {
+      rows.push(step('Plant capacity (peak)', 'Qp = N × Qu_min', `${pl.units} × ${n(cap.Q_unit,'flow',3)}`, q(cap.Q_peak, 'flow', 3)));
+      if (d.P !== null) rows.push(step('Population served', 'P = Qp / PF × 1000 / pcd', si(`${fmt(cap.Q_peak,2)} / ${fmt(pl.peakFactor,2)} × 1000 / ${d.pcd}`), `${cap.P.toLocaleString()} persons`));
+      if (cap.utilisation !== null) rows.push(step('Current load', 'U = Qp_current / Qp', `${n(pl.Q_peak_day,'flow',3)} / ${n(cap.Q_peak,'flow',3)}`, `${fmt(cap.utilisation * 100,1)} %`));
+    }
+    sections.push({ title: 'Capacity within criteria', steps: rows });
+  }
+  return sections;
+}
+
+/* ---------- PDF design report (jsPDF, generated in the browser) ---------- */
+const REPORT_DEFAULTS = { title: 'Sedimentation tank design', client: '', preparedBy: '' };
+
+// strip HTML and map characters the standard PDF fonts lack
+function pdfText(str) {
+  return String(str).replace(/<\/?[a-z]+>/g, '').replace(/≤/g, '<=').replace(/≥/g, '>=').replace(/→/g, '->');
+}
+
+function reportMeta() {
+  return { ...REPORT_DEFAULTS, ...JSON.parse(localStorage.getItem('sts_report') || '{}') };
+}
+
+async function downloadReportPDF() {
   const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
   if (!design) return alert('No design available.');
+  if (!window.jspdf) return alert('PDF library not loaded — check the internet connection and reload.');
+  const inputs = JSON.parse(localStorage.getItem('sts_inputs') || '{}');
+  const meta = reportMeta();
+  const images = await captureDiagramImages(design);
 
-  // 1) get 2D plan image data
-  const planCanvas = $('planCanvas');
-  // ensure plan is up-to-date
-  drawPlan(design);
-  const planDataURL = planCanvas.toDataURL('image/png');
+  const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+  const M = 15, W = 210 - 2 * M, bottom = 280;
+  let y = M;
+  const ensure = h => { if (y + h > bottom) { doc.addPage(); y = M; } };
+  const heading = text => {
+    ensure(14); y += 4;
+    doc.setFont('helvetica', 'bold'); doc.setFontSize(12); doc.setTextColor(7, 51, 71);
+    doc.text(text, M, y); y += 2; doc.setDrawColor(18, 176, 255); doc.line(M, y, M + W, y); y += 5;
+    doc.setFont('helvetica', 'normal'); doc.setFontSize(9); doc.setTextColor(0);
+  };
+  // three columns: label | formula + substitution | result
+  const row = (label, formula, subst, result) => {
+    const left = doc.splitTextToSize(label, 45);
+    const mid = doc.splitTextToSize(subst ? `${formula}\n= ${subst}` : formula, 95);
+    const h = Math.max(left.length, mid.length) * 4 + 1.5;
+    ensure(h);
+    doc.text(left, M, y); doc.text(mid, M + 48, y); doc.text(String(result), M + W, y, { align: 'right' });
+    y += h;
+  };
+
+  // title block
+  doc.setDrawColor(7, 51, 71); doc.rect(M, y, W, 30);
+  doc.setFont('helvetica', 'bold'); doc.setFontSize(15); doc.text(meta.title, M + 4, y + 9);
+  doc.setFont('helvetica', 'normal'); doc.setFontSize(9);
+  doc.text(`Client: ${meta.client || '—'}`, M + 4, y + 17);
+  doc.text(`Prepared by: ${meta.preparedBy || '—'}`, M + 4, y + 23);
+  doc.text(`Date: ${new Date().toLocaleDateString()}`, M + W - 4, y + 11, { align: 'right' });
+  doc.text(unitSystem() === 'US' ? 'Units: US customary (steps marked SI are worked in SI)' : 'Units: SI', M + W - 4, y + 17, { align: 'right' });
+  const c = DESIGN_CRITERIA[design.process] || DESIGN_CRITERIA.plain;
+  doc.text(`${c.label} — ${design.tankType} tank${design.mode === 'check' ? ' (check of existing tank)' : ''}`, M + W - 4, y + 23, { align: 'right' });
+  y += 36;
+
+  // inputs (skip the ones the chosen options do not use)
+  const check = inputs.mode === 'check';
+  const unused = {
+    ...Object.fromEntries(['detention', 'sor', 'lbratio', 'maxL', 'maxB', 'maxDia', 'roundPlan', 'roundDepth', 'steelRatio'].map(k => [k, check])),
+    census: !['arithmetic', 'geometric', 'incremental'].includes(inputs.growthMethod),
+    psd: inputs.settlingType === 'flocculent',
+    columnTest: inputs.settlingType !== 'flocculent'
+  };
+  heading('1. Inputs');
+  Object.keys(DEFAULT_INPUTS).forEach(k => {
+    if (inputs[k] === undefined || inputs[k] === '' || unused[k]) return;
+    row(inputLabel(k), inputText(k, inputs), '', '');
+  });
+
+  // calculation steps
+  const steps = calcSteps(design);
+  steps.forEach((sec, i) => {
+    heading(`${i + 2}. ${sec.title}`);
+    sec.steps.forEach(s => row(s.label, s.formula, s.subst, s.result));
+  });
+
+  // criteria and hydraulic verdicts
+  const checks = [
+    ...(design.compliance || []).map(r => [r.label, checkValue(r, 2), pdfText(criteriaRange(r)), r.status]),
+    ...(design.hydraulics ? design.hydraulics.checks : []).map(r => [r.label, checkValue(r), pdfText(hydraulicCheckText(r, design).limit), r.status])
+  ];
+  if (checks.length) {
+    heading(`${steps.length + 2}. Compliance summary`);
+    doc.setFont('helvetica', 'bold');
+    [['Check', M], ['Value', M + 62], ['Limit', M + 100]].forEach(([t, x]) => doc.text(t, x, y));
+    doc.text('Status', M + W, y, { align: 'right' });
+    doc.setFont('helvetica', 'normal'); y += 6;
+    checks.forEach(([label, value, limit, status]) => {
+      ensure(6);
+      const colour = { pass: [20, 130, 60], warn: [190, 120, 0], fail: [200, 30, 30] }[status] || [100, 100, 100];
+      doc.text(label, M, y); doc.text(value.trim(), M + 62, y); doc.text(limit, M + 100, y);
+      doc.setTextColor(...colour); doc.text(status.toUpperCase(), M + W, y, { align: 'right' }); doc.setTextColor(0);
+      y += 5.5;
+    });
+  }
 
-  // 2) get 3D renderer image: use threeRenderer.domElement.toDataURL()
+  // drawings
+  doc.addPage(); y = M;
+  heading('Drawings');
+  const placeImage = (dataURL, w) => {
+    const props = doc.getImageProperties(dataURL);
+    const h = w * props.height / props.width;
+    ensure(h + 4);
+    doc.addImage(dataURL, 'PNG', M + (W - w) / 2, y, w, h); y += h + 4;
+  };
+  placeImage(images.plan, 120);
+  placeImage(images.section, 120);
+  if (images.three) placeImage(images.three, 120);
+
+  // footer on every page
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p); doc.setFontSize(8); doc.setTextColor(120);
+    doc.text(`${meta.title} — Sedimentation Tank Simulator`, M, 290);
+    doc.text(`Page ${p} of ${pages}`, M + W, 290, { align: 'right' });
+  }
+  doc.save('sedimentation_tank_report.pdf');
+}
+
+/* ---------- Diagram images (plan, section, 3D view) as PNG data URLs ---------- */
+/* Plan and section are rendered off-screen so this also works on pages without the canvases;
+   the 3D view is taken from the page's viewer, or from one built off-screen when there is none. */
+async function captureDiagramImages(design) {
+  const paper = { width: 440, height: 380 };
+  const render = dw => {
+    const c = document.createElement('canvas'); c.width = paper.width; c.height = paper.height;
+    renderDrawingToCanvas(c, dw);
+    return c.toDataURL('image/png');
+  };
+  const plan = render(buildPlanDrawing(design, paper));
+  const section = render(buildSectionDrawing(design, paper));
+
+  let offscreen = null;
+  if (!threeRenderer && window.THREE) {
+    try { offscreen = createTankViewer(document.createElement('div'), design, 0.18); }
+    catch (e) { console.warn('Unable to create an off-screen 3D view:', e); stopThree(); }
+  }
+
+  // 3D renderer image: use threeRenderer.domElement.toDataURL()
   // Wait a frame to ensure renderer available
   await new Promise(r => setTimeout(r, 80));
-  let threeDataURL = null;
+  let three = null;
   if (threeRenderer && threeRenderer.domElement) {
-    try { threeDataURL = threeRenderer.domElement.toDataURL('image/png'); }
+    // the animation loop may not have run yet for an off-screen viewer
+    if (offscreen) threeRenderer.render(threeScene, threeCamera);
+    try { three = threeRenderer.domElement.toDataURL('image/png'); }
     catch (e) {
       // Some browsers block toDataURL with preserveDrawingBuffer:false; but we set preserveDrawingBuffer true on init
       console.warn('Unable to capture 3D canvas:', e);
     }
   }
+  if (offscreen) { offscreen.dispose(); stopThree(); }
+  return { plan, section, three };
+}
 
-  // 3) create output PNG canvas and composite: white background, header, left plan, right 3D, measurements text
-  const planImg = await loadImg(planDataURL);
-  const threeImg = threeDataURL ? await loadImg(threeDataURL) : null;
+/* ---------- Combined PNG download (plan + section + current 3D renderer image) ---------- */
+async function downloadCombinedPNG() {
+  const design = JSON.parse(localStorage.getItem('sts_design') || 'null');
+  if (!design) return alert('No design available.');
+
+  // ensure on-screen drawings are up-to-date, then capture plan, section and 3D
+  drawPlan(design);
+  drawSection(design);
+  const captured = await captureDiagramImages(design);
+
+  // create output PNG canvas and composite: white background, header, plan, section, 3D, measurements text
+  const images = [await loadImg(captured.plan), await loadImg(captured.section)];
+  if (captured.three) images.push(await loadImg(captured.three));
 
   // Compute output size
   const pad = 40;
-  const contentW = planImg.width + (threeImg ? threeImg.width + pad : 0);
+  const contentW = images.reduce((w, img) => w + img.width, 0) + pad * (images.length - 1);
+  const contentH = Math.max(...images.map(img => img.height));
   const headerH = 72;
   const outW = contentW + pad*2;
-  const outH = Math.max(planImg.height, (threeImg?threeImg.height:0)) + headerH + pad*2 + 80;
+  const outH = contentH + headerH + pad*2 + 80;
 
   const out = document.createElement('canvas'); out.width = outW; out.height = outH;
   const ctx = out.getContext('2d');
@@ -372,26 +2235,21 @@ async function downloadCombinedPNG() {
   ctx.fillStyle = '#ffffff'; ctx.fillRect(0,0,outW,outH);
 
   // Header text
-  ctx.fillStyle = '#073347'; ctx.font = 'bold 20px Arial'; ctx.fillText('Sedimentation Tank — Plan & 3D Diagram', pad, 34);
+  ctx.fillStyle = '#073347'; ctx.font = 'bold 20px Arial'; ctx.fillText('Sedimentation Tank — Plan, Section & 3D Diagram', pad, 34);
   ctx.font = '13px Arial'; ctx.fillStyle='#073347';
-  ctx.fillText(`Volume (controlling): ${fmt(design.controllingVolume,2)} m³`, pad, 54);
+  ctx.fillText(`Volume (controlling): ${fmtU(design.controllingVolume, 'volume', 2)}`, pad, 54);
 
-  // Draw plan image at left
-  const leftX = pad; const topY = headerH;
-  ctx.drawImage(planImg, leftX, topY);
-
-  // Draw 3D image at right (if exists)
-  if (threeImg) {
-    const rightX = leftX + planImg.width + pad;
-    ctx.drawImage(threeImg, rightX, topY);
-  }
+  // Draw images left to right
+  const topY = headerH;
+  let x = pad;
+  images.forEach(img => { ctx.drawImage(img, x, topY); x += img.width + pad; });
 
   // Measurements text below
   ctx.fillStyle = '#073347'; ctx.font = 'bold 13px Arial';
   const measText = (design.tankType === 'horizontal')
-    ? `L = ${fmt(design.L,2)} m   |   B = ${fmt(design.B,2)} m   |   D = ${fmt(design.depth,2)} m`
-    : `Ø = ${fmt(design.Dia,2)} m   |   D = ${fmt(design.depth,2)} m`;
-  ctx.fillText(measText, pad, topY + Math.max(planImg.height, (threeImg?threeImg.height:0)) + 28);
+    ? `L = ${fmtU(design.L, 'length', 2)}   |   B = ${fmtU(design.B, 'length', 2)}   |   D = ${fmtU(design.depth, 'length', 2)}`
+    : `Ø = ${fmtU(design.Dia, 'length', 2)}   |   D = ${fmtU(design.depth, 'length', 2)}`;
+  ctx.fillText(measText, pad, topY + contentH + 28);
 
   // Download
   const a = document.createElement('a'); a.href = out.toDataURL('image/png'); a.download = 'sedimentation_tank_diagram.png'; a.click();
@@ -416,49 +2274,316 @@ function visualizePageInit() {
   const container = $('full3D') || $('threeContainer') || document.body;
   // if #full3D exists (visualize.html)
   if ($('full3D')) {
-    // init renderer similar to diagram page but larger
-    stopThree();
+    const viewer = createTankViewer(container, design, 0.25);
+    threeViewer = viewer;
+    wireViewerControls(viewer);
+    document.querySelectorAll('[data-model]').forEach(btn => btn.addEventListener('click', () => exportModel(btn.dataset.model)));
 
-    threeRenderer = new THREE.WebGLRenderer({ antialias:true, preserveDrawingBuffer:true });
-    threeRenderer.setSize(container.clientWidth, 600);
-    container.innerHTML=''; container.appendChild(threeRenderer.domElement);
-
-    threeScene = new THREE.Scene();
-    threeCamera = new THREE.PerspectiveCamera(55, container.clientWidth / 600, 0.1, 5000);
-    threeCamera.position.set(0, design.depth * 4, Math.max(design.L || design.Dia || 10, design.B || 10) * 2);
-    threeCamera.lookAt(0,0,0);
-
-    const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.9); threeScene.add(hemi);
-    const dir = new THREE.DirectionalLight(0xffffff, 0.8); dir.position.set(100,100,100); threeScene.add(dir);
-    const grid = new THREE.GridHelper(2000, 20, 0xcccccc, 0xcccccc); grid.material.opacity = 0.08; grid.material.transparent = true; threeScene.add(grid);
-
-    // geometry
-    let group;
-    if (design.tankType === 'horizontal') {
-      const geom = new THREE.BoxGeometry(design.L, design.depth, design.B);
-      const mat = new THREE.MeshPhongMaterial({ color:0x00b7ff, opacity:0.25, transparent:true });
-      const wire = new THREE.MeshBasicMaterial({ color:0x00b7ff, wireframe:true });
-      const m = new THREE.Mesh(geom, mat); const w = new THREE.Mesh(geom, wire);
-      group = new THREE.Group(); group.add(m); group.add(w);
-    } else {
-      const geom = new THREE.CylinderGeometry(design.Dia/2, design.Dia/2, design.depth, 64);
-      const mat = new THREE.MeshPhongMaterial({ color:0x00b7ff, opacity:0.25, transparent:true });
-      const wire = new THREE.MeshBasicMaterial({ color:0x00b7ff, wireframe:true });
-      const m = new THREE.Mesh(geom, mat); const w = new THREE.Mesh(geom, wire);
-      group = new THREE.Group(); group.add(m); group.add(w);
+    // settling simulation (off until started)
+    let sim = null;
+    const simStats = () => {
+      if (!sim || !$('simStats')) return;
+      $('simStats').innerHTML = `Removed <strong>${fmt(sim.removal * 100,1)} %</strong> (${sim.removed} / ${sim.removed + sim.escaped})`
+        + ` &nbsp;|&nbsp; expected ${fmt(sim.expected * 100,1)} % &nbsp;|&nbsp; t = ${fmt(sim.time / 60,1)} min`;
+    };
+    $('btnSim')?.addEventListener('click', () => {
+      if (sim) {
+        sim.dispose(); sim = null;
+        $('btnSim').textContent = 'Start simulation'; $('simStats').innerHTML = '';
+        return;
+      }
+      sim = createSettlingSim(design, threeMesh);
+      sim.speed = Number($('simSpeed').value) || 1;
+      sim.shortCircuit = Number($('simShortCircuit').value) || 0;
+      viewer.setCut(); // particles pick up the current section cut
+      $('btnSim').textContent = 'Stop simulation'; $('btnSimPause').textContent = 'Pause';
+    });
+    $('btnSimPause')?.addEventListener('click', () => {
+      if (!sim) return;
+      sim.playing = !sim.playing;
+      $('btnSimPause').textContent = sim.playing ? 'Pause' : 'Play';
+    });
+    $('btnSimReset')?.addEventListener('click', () => { sim?.reset(); simStats(); });
+    $('simSpeed')?.addEventListener('input', e => {
+      $('simSpeedLabel').textContent = `${e.target.value}×`;
+      if (sim) sim.speed = Number(e.target.value);
+    });
+    $('simShortCircuit')?.addEventListener('input', e => { if (sim) sim.shortCircuit = Number(e.target.value); });
+
+    viewer.onFrame = dt => { if (sim) { sim.step(dt); simStats(); } };
+  }
+}
+
+/* ---------- Parametric sweep: vary one or two inputs, re-run the design ---------- */
+/* ranges are in SI; kind converts values and labels to the chosen unit system */
+/* applies(base): the input changes the design in the base's mode / flow basis
+   (an existing tank ignores SOR, detention and L:B; a capacity basis ignores population) */
+const designing = b => b.mode !== 'check';
+const SWEEP_PARAMS = {
+  sor: { label: 'SOR', kind: 'sorInput', range: () => [12000, 40000], applies: designing },
+  detention: { label: 'Detention (h)', range: () => [1.5, 6], applies: designing },
+  depth: { label: 'Depth', kind: 'length', range: () => [2.5, 5], applies: () => true },
+  population: { label: 'Population', range: b => [Math.round(Number(b.population) * 0.5), Math.round(Number(b.population) * 2)],
+    applies: b => b.flowBasis !== 'capacity' },
+  capacity: { label: 'Plant capacity', kind: 'capacity', range: b => [Number(b.capacity) * 0.5, Number(b.capacity) * 2],
+    applies: b => b.flowBasis === 'capacity' },
+  lbratio: { label: 'L : B ratio', range: () => [2, 6], applies: b => designing(b) && b.tankType === 'horizontal' }
+};
+const SWEEP_METRICS = {
+  planArea: { label: 'Plan area', kind: 'area', get: d => d.planArea },
+  volume: { label: 'Controlling volume', kind: 'volume', get: d => d.controllingVolume },
+  length: { label: 'Length / diameter', kind: 'length', get: d => d.tankType === 'horizontal' ? d.L : d.Dia },
+  breadth: { label: 'Breadth', kind: 'length', get: d => d.tankType === 'horizontal' ? d.B : null },
+  removal: { label: 'Removal (%)', get: d => d.settling ? d.settling.overall * 100 : null },
+  units: { label: 'Duty units', get: d => d.plant ? d.plant.units : 1 },
+  fails: { label: 'Failing checks', get: d => designChecks(d).filter(s => s === 'fail').length }
+};
+const sweepLabel = p => (p.kind ? `${p.label} (${unitOf(p.kind)})` : p.label);
+const STATUS_COLORS = { pass: '#3ddc84', warn: '#ffc94d', fail: '#ff6b6b', invalid: '#c8c8c8' };
+
+// verdicts of the design criteria and hydraulic checks, and the worst of them
+const designChecks = d => [...(d.compliance || []), ...(d.hydraulics ? d.hydraulics.checks : [])].map(r => r.status);
+function designStatus(d) {
+  const all = designChecks(d);
+  return all.includes('fail') ? 'fail' : all.includes('warn') ? 'warn' : 'pass';
+}
+
+function sweepValues([from, to], steps) {
+  const n = Math.max(2, Math.round(steps));
+  return Array.from({ length: n }, (_, i) => from + (to - from) * i / (n - 1));
+}
+
+const SWEEP_CHUNK = 100;   // designs evaluated between yields to the page
+
+/* axes: [{ key, values }] (one or two, values in SI). Resolves to one row per point with
+   every metric and the status; row values are in the chosen unit system. Points whose
+   inputs fail validation get status 'invalid', no metrics and the errors. The points run
+   in chunks of SWEEP_CHUNK with a setTimeout between them so the page stays responsive;
+   onProgress(done, total) is called before each pause. */
+async function runSweep(base, axes, onProgress) {
+  const [ax, ay] = axes;
+  const points = (ay ? ay.values : [null]).flatMap(y => ax.values.map(x => [x, y]));
+  const rows = [];
+  for (const [x, y] of points) {
+    if (rows.length && rows.length % SWEEP_CHUNK === 0) {
+      if (onProgress) onProgress(rows.length, points.length);
+      await new Promise(r => setTimeout(r, 0));
     }
-    threeScene.add(group); threeMesh = group;
+    const inputs = { ...base, [ax.key]: x };
+    if (ay) inputs[ay.key] = y;
+    const { errors, design: d } = runDesign(inputs, { format: shownValue });
+    const row = { x: toUnits(x, SWEEP_PARAMS[ax.key].kind), y: ay ? toUnits(y, SWEEP_PARAMS[ay.key].kind) : null, status: d ? designStatus(d) : 'invalid' };
+    if (errors.length) row.errors = errors;
+    Object.entries(SWEEP_METRICS).forEach(([k, m]) => {
+      const v = d ? m.get(d) : null;
+      row[k] = v === null ? null : toUnits(v, m.kind);
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+function sweepToCSV(rows, axes) {
+  const head = [...axes.map(a => sweepLabel(SWEEP_PARAMS[a.key])), ...Object.values(SWEEP_METRICS).map(sweepLabel), 'status'];
+  const lines = rows.map(r => [+r.x.toFixed(4), ...(axes[1] ? [+r.y.toFixed(4)] : []), ...Object.keys(SWEEP_METRICS).map(k => r[k] === null ? '' : +r[k].toFixed(4)), r.status].join(','));
+  return [head.join(','), ...lines].join('\n');
+}
+
+/* nice axis ticks */
+function chartTicks(min, max, count = 5) {
+  const step0 = (max - min) / count || 1;
+  const mag = Math.pow(10, Math.floor(Math.log10(step0)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= step0);
+  const ticks = [];
+  for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(+t.toFixed(10));
+  return ticks;
+}
+
+/* line chart: series = [{ label, color, values }], point markers coloured by status */
+function drawLineChart(canvas, xs, series, { title, xLabel, status }) {
+  const ctx = canvas.getContext('2d'), W = canvas.width, H = canvas.height;
+  const m = { l: 58, r: 14, t: 28, b: 40 };
+  ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, W, H);
+  const all = series.flatMap(s => s.values).filter(v => v !== null && isFinite(v));
+  if (!all.length) return;
+  let lo = Math.min(...all), hi = Math.max(...all);
+  if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+  const xMin = xs[0], xMax = xs[xs.length - 1];
+  const X = x => m.l + (x - xMin) / (xMax - xMin) * (W - m.l - m.r);
+  const Y = v => H - m.b - (v - lo) / (hi - lo) * (H - m.t - m.b);
+
+  ctx.font = '11px Arial'; ctx.strokeStyle = '#dde6ee'; ctx.fillStyle = '#334'; ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  chartTicks(lo, hi).forEach(t => {
+    ctx.beginPath(); ctx.moveTo(m.l, Y(t)); ctx.lineTo(W - m.r, Y(t)); ctx.stroke();
+    ctx.fillText(fmt(t, 2), m.l - 6, Y(t) + 4);
+  });
+  ctx.textAlign = 'center';
+  chartTicks(xMin, xMax).forEach(t => {
+    ctx.beginPath(); ctx.moveTo(X(t), m.t); ctx.lineTo(X(t), H - m.b); ctx.stroke();
+    ctx.fillText(fmt(t, 2), X(t), H - m.b + 14);
+  });
+  ctx.strokeStyle = '#667'; ctx.strokeRect(m.l, m.t, W - m.l - m.r, H - m.t - m.b);
+  ctx.fillText(xLabel, (m.l + W - m.r) / 2, H - 8);
+  ctx.font = 'bold 13px Arial'; ctx.fillStyle = '#003366'; ctx.textAlign = 'left';
+  ctx.fillText(title, m.l, 18);
 
-    // animate
-    function anim(){
-      animateId = requestAnimationFrame(anim);
-      threeMesh.rotation.y += 0.008;
-      threeRenderer.render(threeScene, threeCamera);
+  series.forEach((s, si) => {
+    ctx.strokeStyle = s.color; ctx.lineWidth = 2; ctx.beginPath();
+    let pen = false;
+    s.values.forEach((v, i) => {
+      if (v === null || !isFinite(v)) { pen = false; return; }
+      pen ? ctx.lineTo(X(xs[i]), Y(v)) : ctx.moveTo(X(xs[i]), Y(v)); pen = true;
+    });
+    ctx.stroke();
+    s.values.forEach((v, i) => {
+      if (v === null || !isFinite(v)) return;
+      ctx.fillStyle = STATUS_COLORS[status[i]]; ctx.strokeStyle = s.color; ctx.lineWidth = 1;
+      ctx.beginPath(); ctx.arc(X(xs[i]), Y(v), 3.5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+    });
+    if (series.length > 1) {
+      ctx.font = '11px Arial'; ctx.fillStyle = s.color; ctx.textAlign = 'right';
+      ctx.fillText(s.label, W - m.r - 4, m.t + 14 + si * 14);
     }
-    anim();
+  });
+}
+
+/* heat map of cells[j][i] (y index j, x index i); numbers are shaded blue → red, statuses use STATUS_COLORS */
+function drawHeatMap(canvas, xs, ys, cells, { title, xLabel, yLabel }) {
+  const ctx = canvas.getContext('2d'), W = canvas.width, H = canvas.height;
+  const m = { l: 70, r: 70, t: 28, b: 40 };
+  ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, W, H);
+  const nums = cells.flat().filter(v => typeof v === 'number' && isFinite(v));
+  const lo = Math.min(...nums), hi = Math.max(...nums);
+  const shade = v => {
+    if (typeof v === 'string') return STATUS_COLORS[v];
+    if (v === null || !isFinite(v)) return '#eee';
+    const t = hi > lo ? (v - lo) / (hi - lo) : 0.5;
+    return `hsl(${Math.round(220 - 220 * t)}, 75%, ${Math.round(55 + 5 * Math.sin(t * Math.PI))}%)`;
+  };
+  const cw = (W - m.l - m.r) / xs.length, ch = (H - m.t - m.b) / ys.length;
+  cells.forEach((row, j) => row.forEach((v, i) => {
+    ctx.fillStyle = shade(v);
+    ctx.fillRect(m.l + i * cw, H - m.b - (j + 1) * ch, Math.ceil(cw), Math.ceil(ch));
+  }));
+  ctx.strokeStyle = '#667'; ctx.lineWidth = 1; ctx.strokeRect(m.l, m.t, W - m.l - m.r, H - m.t - m.b);
+
+  // label roughly five cells per axis
+  ctx.font = '11px Arial'; ctx.fillStyle = '#334';
+  const every = n => Math.max(1, Math.round(n / 5));
+  ctx.textAlign = 'center';
+  xs.forEach((x, i) => { if (i % every(xs.length) === 0) ctx.fillText(fmt(x, 2), m.l + (i + 0.5) * cw, H - m.b + 14); });
+  ctx.textAlign = 'right';
+  ys.forEach((y, j) => { if (j % every(ys.length) === 0) ctx.fillText(fmt(y, 2), m.l - 6, H - m.b - (j + 0.5) * ch + 4); });
+  ctx.textAlign = 'center'; ctx.fillText(xLabel, (m.l + W - m.r) / 2, H - 8);
+  ctx.save(); ctx.translate(14, (m.t + H - m.b) / 2); ctx.rotate(-Math.PI / 2); ctx.fillText(yLabel, 0, 0); ctx.restore();
+  ctx.font = 'bold 13px Arial'; ctx.fillStyle = '#003366'; ctx.textAlign = 'left'; ctx.fillText(title, m.l, 18);
+
+  // legend
+  const lx = W - m.r + 16, lh = H - m.t - m.b;
+  ctx.font = '11px Arial'; ctx.textAlign = 'left';
+  if (nums.length) {
+    for (let k = 0; k < lh; k++) { ctx.fillStyle = shade(lo + (hi - lo) * (1 - k / lh)); ctx.fillRect(lx, m.t + k, 14, 1); }
+    ctx.fillStyle = '#334';
+    ctx.fillText(fmt(hi, 1), lx + 18, m.t + 10); ctx.fillText(fmt(lo, 1), lx + 18, m.t + lh);
+  } else {
+    Object.entries(STATUS_COLORS).forEach(([s, c], k) => {
+      ctx.fillStyle = c; ctx.fillRect(lx, m.t + k * 20, 14, 14);
+      ctx.fillStyle = '#334'; ctx.fillText(s, lx + 18, m.t + k * 20 + 11);
+    });
   }
 }
 
+function sweepPageInit() {
+  const base = { ...DEFAULT_INPUTS, ...JSON.parse(localStorage.getItem('sts_inputs') || '{}') };
+  const selX = $('sweepX'), selY = $('sweepY'), selMetric = $('sweepMetric');
+  const params = Object.entries(SWEEP_PARAMS).filter(([, p]) => p.applies(base));
+  const ignored = Object.values(SWEEP_PARAMS).filter(p => !p.applies(base)).map(p => p.label);
+  const options = params.map(([k, p]) => `<option value="${k}">${sweepLabel(p)}</option>`).join('');
+  selX.innerHTML = options;
+  selY.innerHTML = '<option value="">None — line charts</option>' + options;
+  selMetric.innerHTML = Object.entries(SWEEP_METRICS).map(([k, m]) => `<option value="${k}">${sweepLabel(m)}</option>`).join('') + '<option value="status">Compliance status</option>';
+  $('sweepBase').textContent = `Other inputs from the current design: ${params.map(([k, p]) => `${sweepLabel(p)} ${fmt(toUnits(Number(base[k]), p.kind), 2)}`).join(', ')}.`
+    + (ignored.length ? ` Not offered, as they do not change ${base.mode === 'check' ? 'a check of an existing tank' : 'this design'}: ${ignored.join(', ')}.` : '');
+
+  const setRange = (sel, prefix) => {
+    if (!sel.value) return;
+    const p = SWEEP_PARAMS[sel.value];
+    const [from, to] = p.range(base).map(v => +toUnits(v, p.kind).toPrecision(4));
+    $(prefix + 'From').value = from; $(prefix + 'To').value = to;
+  };
+  selX.addEventListener('change', () => setRange(selX, 'sweepX'));
+  selY.addEventListener('change', () => {
+    setRange(selY, 'sweepY');
+    document.querySelectorAll('.sweep-y').forEach(el => { el.style.display = selY.value ? '' : 'none'; });
+  });
+  setRange(selX, 'sweepX');
+
+  let last = null, running = false;
+  const axis = prefix => {
+    const key = $(prefix).value, kind = SWEEP_PARAMS[key].kind;
+    const range = [Number($(prefix + 'From').value), Number($(prefix + 'To').value)].map(v => fromUnits(v, kind));
+    return { key, values: sweepValues(range, Math.min(60, Number($(prefix + 'Steps').value) || 2)) };
+  };
+
+  const run = async () => {
+    if (running) return;
+    const axes = [axis('sweepX')];
+    if (selY.value) {
+      if (selY.value === selX.value) return alert('Choose two different parameters.');
+      axes.push(axis('sweepY'));
+    }
+    running = true;
+    if ($('btnSweep')) $('btnSweep').disabled = true;
+    let rows;
+    try {
+      rows = await runSweep(base, axes, (done, total) => { $('sweepInfo').textContent = `Evaluating designs… ${done} of ${total}`; });
+    } finally {
+      running = false;
+      if ($('btnSweep')) $('btnSweep').disabled = false;
+    }
+    last = { rows, axes };
+    const box = $('sweepCharts');
+    box.innerHTML = '';
+    const chart = () => {
+      const c = document.createElement('canvas'); c.width = 520; c.height = 300;
+      box.appendChild(c);
+      return c;
+    };
+    const xs = rows.slice(0, axes[0].values.length).map(r => r.x), xLabel = sweepLabel(SWEEP_PARAMS[axes[0].key]);
+    if (axes.length === 1) {
+      const status = rows.map(r => r.status);
+      const series = (key, color, label) => ({ label: label || SWEEP_METRICS[key].label, color, values: rows.map(r => r[key]) });
+      drawLineChart(chart(), xs, [series('planArea', '#1477ff')], { title: sweepLabel(SWEEP_METRICS.planArea), xLabel, status });
+      drawLineChart(chart(), xs, [series('volume', '#1477ff')], { title: sweepLabel(SWEEP_METRICS.volume), xLabel, status });
+      drawLineChart(chart(), xs, base.tankType === 'horizontal'
+        ? [series('length', '#1477ff', 'L'), series('breadth', '#e07b00', 'B')]
+        : [series('length', '#1477ff', 'Ø')], { title: `Dimensions (${unitOf('length')})`, xLabel, status });
+      drawLineChart(chart(), xs, [series('removal', '#1477ff')], { title: 'Removal (%) — markers: compliance', xLabel, status });
+    } else {
+      const ys = axes[1].values.map((_, j) => rows[j * xs.length].y), yLabel = sweepLabel(SWEEP_PARAMS[axes[1].key]);
+      const grid = key => ys.map((_, j) => xs.map((_, i) => rows[j * xs.length + i][key]));
+      const metric = selMetric.value;
+      const title = metric === 'status' ? 'Compliance status' : sweepLabel(SWEEP_METRICS[metric]);
+      drawHeatMap(chart(), xs, ys, grid(metric), { title, xLabel, yLabel });
+      if (metric !== 'status') drawHeatMap(chart(), xs, ys, grid('status'), { title: 'Compliance status', xLabel, yLabel });
+    }
+    const counts = ['pass', 'warn', 'fail'].map(s => `${rows.filter(r => r.status === s).length} ${s}`).join(', ');
+    const invalid = rows.filter(r => r.errors);
+    $('sweepInfo').textContent = `${rows.length - invalid.length} designs evaluated: ${counts}.`
+      + (invalid.length ? ` ${invalid.length} point${invalid.length > 1 ? 's' : ''} skipped (grey): ${invalid[0].errors[0].message}` : '');
+  };
+
+  $('btnSweep')?.addEventListener('click', run);
+  selMetric.addEventListener('change', () => { if (last && last.axes.length === 2) run(); });
+  $('btnSweepCSV')?.addEventListener('click', () => {
+    if (!last) return alert('Run a sweep first.');
+    downloadBlob(sweepToCSV(last.rows, last.axes), 'sedimentation_tank_sweep.csv', 'text/csv');
+  });
+  $('btnSweepBack')?.addEventListener('click', () => { window.location.href = 'result.html'; });
+  run();
+}
+
 /* ---------- Page initializer: detect which page and init ---------- */
 window.addEventListener('DOMContentLoaded', () => {
   const path = window.location.pathname;
@@ -470,5 +2595,7 @@ window.addEventListener('DOMContentLoaded', () => {
     diagramPageInit();
   } else if (path.endsWith('visualize.html')) {
     visualizePageInit();
+  } else if (path.endsWith('sweep.html')) {
+    sweepPageInit();
   }
 });
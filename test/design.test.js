@@ -0,0 +1,171 @@
+/* Tank sizing, population projection, sludge, capacity check and quantities
+   against hand-worked textbook examples. Values are SI throughout. */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDesign, calcGeometry, calcQuantities, flowSection, parseCensus, projectPopulation, billOfQuantities, DEFAULT_RATES } from '../design.js';
+
+const near = (actual, expected, rel = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * rel, `${actual} is not within ${rel * 100} % of ${expected}`);
+const design = inputs => {
+  const r = runDesign(inputs);
+  assert.deepEqual(r.errors, []);
+  return r.design;
+};
+
+test('rectangular plain sedimentation tank for 20,000 persons at 150 Lpcd', () => {
+  // Q = 20000 × 150 / 1000 = 3000 m³/day; A = Q / SOR = 3000 / 20 = 150 m²
+  // L = √(4A) = 24.49 m, B = 6.12 m -> built 24.5 × 6.5 × 3.5 m
+  const d = design({ population: 20000, pcd: 150, sor: 20000, detention: 2.5, depth: 3.5, lbratio: 4 });
+  assert.equal(d.Q_day_m3, 3000);
+  assert.equal(d.raw.planArea, 150);
+  near(d.raw.L, 24.49, 0.001);
+  near(d.raw.B, 6.12, 0.001);
+  assert.equal(d.L, 24.5);
+  assert.equal(d.B, 6.5);
+  assert.equal(d.depth, 3.5);
+  // V by detention = 3000 / 24 × 2.5 = 312.5 m³; built volume 557.4 m³ -> 4.46 h, SOR 18.84 m³/m²/day
+  near(d.V_det, 312.5, 1e-9);
+  near(d.controllingVolume, 557.375, 1e-9);
+  near(d.detentionActual, 4.459, 0.001);
+  near(d.SOR_m3_m2_day, 18.84, 0.001);
+  // end weir across the width: 3000 / 6.5 = 461.5 m³/m/day, over the 300 limit
+  near(d.weirLoading, 461.5, 0.001);
+  assert.equal(d.compliance.find(r => r.key === 'weirLoading').status, 'fail');
+});
+
+test('circular radial-flow clarifier for a 10 MLD plant', () => {
+  // A = 10000 / 20 = 500 m²; Ø = √(4A / π) = 25.23 m -> 25.5 m
+  const d = design({ flowBasis: 'capacity', capacity: 10, tankType: 'radial' });
+  assert.equal(d.P, null);
+  assert.equal(d.Q_day_m3, 10000);
+  near(d.raw.Dia, 25.23, 0.001);
+  assert.equal(d.Dia, 25.5);
+  assert.equal(d.geometry.hopper.shape, 'cone');
+});
+
+test('inlet, outlet and hopper stay inside a very small tank', () => {
+  // a 0.5 m clarifier: the 1 m feed well / hopper minimums and the 0.3 m launder give way
+  for (const tankType of ['radial', 'peripheral']) {
+    const g = calcGeometry({ tankType, Dia: 0.5, depth: 3.5 });
+    assert.ok(g.weirLength > 0 && g.hopper.top <= 0.25 && g.hopper.depth > 0);
+    if (g.inlet.dia) assert.ok(g.inlet.dia <= 0.25);
+    assert.ok(flowSection({ tankType, Dia: 0.5, depth: 3.5, geometry: g }).width > 0);
+  }
+  // 0.5 m wide: the hopper is narrower than the usual 0.6 m bottom but still has depth
+  const h = calcGeometry({ tankType: 'horizontal', L: 2.5, B: 0.5, depth: 3.5 }).hopper;
+  assert.ok(h.bottom < h.top && h.depth > 0);
+});
+
+test('units are added until each tank fits the maximum length', () => {
+  // 50,000 persons: 7500 m³/day -> one 39 m tank; with L ≤ 30 m two units of 3750 m³/day, L = 27.39 -> 27.5 m
+  assert.equal(design({ population: 50000 }).L, 39);
+  const d = design({ population: 50000, maxL: 30 });
+  assert.equal(d.plant.units, 2);
+  assert.equal(d.plant.limitsGoverned, true);
+  assert.equal(d.Q_day_m3, 3750);
+  assert.equal(d.L, 27.5);
+  assert.equal(d.plant.limitsExceeded, false);
+  // 5 million persons cannot fit 20 m tanks even at the 50 unit ceiling: the size check fails
+  const over = design({ population: 5e6, maxL: 20 });
+  assert.equal(over.plant.units, 50);
+  assert.equal(over.plant.limitsExceeded, true);
+  const row = over.compliance.find(r => r.key === 'maxSize');
+  assert.deepEqual([row.value, row.range, row.status], [over.L, [0, 20], 'fail']);
+});
+
+test('population forecast by arithmetic, geometric and incremental increase', () => {
+  // census 1940–1970: 8000, 12000, 17000, 22500; increases 4000, 5000, 5500 (x̄ = 4833),
+  // increments of increase 1000, 500 (ȳ = 750); growth rates 50 %, 41.7 %, 32.4 % per decade
+  const census = parseCensus('1940:8000, 1950:12000, 1960:17000, 1970:22500');
+  assert.equal(projectPopulation(22500, 10, 'arithmetic', census).P, 27333);
+  assert.equal(projectPopulation(22500, 10, 'incremental', census).P, 28083);
+  // geometric mean rate r = (22500 / 8000)^(1/3) - 1 = 41.2 %
+  const geo = projectPopulation(22500, 10, 'geometric', census);
+  near(geo.r, 0.4116, 0.001);
+  assert.equal(geo.P, 31760);
+  // two decades of arithmetic increase: 22500 + 2 × 4833 = 32167
+  assert.equal(projectPopulation(22500, 20, 'arithmetic', census).P, 32167);
+});
+
+test('peak factor and standby units', () => {
+  const d = design({ population: 20000, peakFactor: 1.5, units: 2, standby: 1 });
+  assert.equal(d.plant.Q_avg_day, 3000);
+  assert.equal(d.plant.Q_peak_day, 4500);
+  assert.equal(d.Q_day_m3, 2250);
+  assert.equal(d.plant.totalUnits, 3);
+});
+
+test('sludge production and desludging interval', () => {
+  // dry solids = Q × TSS × removal = 3000 × 100 × 0.6 / 1000 = 180 kg/day
+  // wet sludge = 180 / (1000 × 1.03 × 0.02) = 8.74 m³/day
+  const d = design({ influentSolids: 100, sludgeRemoval: 60, sludgeSolids: 2, sludgeSG: 1.03 });
+  near(d.sludge.drySolids, 180, 1e-9);
+  near(d.sludge.volumePerDay, 8.738, 0.001);
+  near(d.sludge.interval, d.sludge.storage / d.sludge.volumePerDay, 1e-9);
+  // 50 NTU at 1.5 mg/L per NTU is 75 mg/L of TSS
+  assert.equal(design({ solidsBasis: 'turbidity', influentSolids: 50 }).sludge.tss, 75);
+});
+
+test('capacity of an existing 30 × 10 × 3 m tank within the plain-sedimentation criteria', () => {
+  // SOR ≤ 30: 300 m² × 30 = 9000; detention ≥ 3 h: 900 m³ × 24 / 3 = 7200;
+  // velocity ≤ 0.3 m/min: 0.005 m/s × 30 m² = 12960; weir ≤ 300 m³/m/day × 10 m = 3000 m³/day (governs)
+  const d = design({ mode: 'check', tankL: 30, tankB: 10, depth: 3, flowBasis: 'capacity', capacity: 2, targetRemoval: 0 });
+  const limit = key => d.capacity.limits.find(l => l.key === key).Q_unit;
+  near(limit('sor'), 9000, 1e-6);
+  near(limit('detention'), 7200, 1e-6);
+  near(limit('vh'), 12960, 1e-6);
+  near(limit('weirLoading'), 3000, 1e-6);
+  assert.equal(d.capacity.governing, 'weirLoading');
+  // current load 2000 m³/day: SOR 6.67 m³/m²/day, detention 10.8 h, two thirds of capacity
+  near(d.SOR_m3_m2_day, 6.667, 0.001);
+  near(d.detentionActual, 10.8, 1e-9);
+  near(d.capacity.utilisation, 2 / 3, 1e-6);
+});
+
+test('a target removal no flow reaches is reported instead of governing at zero flow', () => {
+  // the default column test tops out below the 70 % target
+  const d = design({ mode: 'check', tankL: 30, tankB: 10, settlingType: 'flocculent' });
+  const removal = d.capacity.limits.find(l => l.key === 'removal');
+  assert.deepEqual([removal.Q_unit, removal.Q_peak], [null, null]);
+  assert.deepEqual(d.capacity.unattainable, ['removal']);
+  assert.equal(d.capacity.governing, 'weirLoading');
+  near(d.capacity.Q_peak, 3000, 1e-6);
+});
+
+test('quantities of a 20 × 4 × 3 m rectangular tank with 0.25 m walls', () => {
+  // one 4 m pyramid hopper (0.6 m bottom, 60° walls: 1.7 √3 = 2.945 m deep);
+  // floor falls 1 % over 20 − 4 = 16 m: 0.16 m, averaging 0.08 m
+  const tank = { tankType: 'horizontal', L: 20, B: 4, depth: 3 };
+  const q = calcQuantities({
+    ...tank, geometry: calcGeometry(tank), sludge: { zoneDepth: 0.3 },
+    structure: { wall: 0.25, base: 0.3, freeboard: 0.5, steelRatio: 100 }
+  });
+  // walls: (20.5 × 4.5 − 20 × 4) × (3 + 0.3 + 0.5 + 0.08) = 12.25 × 3.88 = 47.53 m³
+  near(q.wallHeight, 3.88, 1e-12);
+  near(q.concrete.walls, 47.53, 1e-12);
+  // base: (92.25 − 4 × 4 opening) × 0.3 = 22.875 m³
+  near(q.concrete.base, 22.875, 1e-12);
+  // hopper: faces 2 × (4 + 0.6) × 3.4 m slant = 31.28 m², bottom 0.36 m², × 0.3 = 9.492 m³
+  near(q.concrete.hoppers, 9.492, 1e-12);
+  near(q.concrete.total, 79.897, 1e-12);
+  // excavation: (21.5 × 5.5) × (3 + 0.3 + 0.08 + 0.3) = 118.25 × 3.68 = 435.16 m³
+  // plus the hopper frustum 2.945 / 3 × (4.6² + 1.2² + 4.6 × 1.2) = 27.60 m³
+  near(q.digDepth, 3.68, 1e-12);
+  near(q.excavation, 435.16 + 1.7 * Math.sqrt(3) / 3 * 28.12, 1e-12);
+  near(q.reinforcement, 7989.7, 1e-12);
+});
+
+test('construction quantities and bill of quantities', () => {
+  const d = design({ units: 2, standby: 1 });
+  const q = d.quantities;
+  near(q.concrete.total, q.concrete.walls + q.concrete.base + q.concrete.hoppers, 1e-12);
+  near(q.reinforcement, q.concrete.total * 100, 1e-12);
+  // walls rise from the floor to the freeboard: depth + sludge zone + freeboard (+ half the floor drop)
+  near(q.wallHeight, 3.5 + 0.3 + 0.5 + d.geometry.floorDrop / 2, 1e-12);
+  const boq = billOfQuantities(d);
+  assert.equal(boq.currency, DEFAULT_RATES.currency);
+  assert.equal(boq.tanks, 3);
+  const concrete = boq.lines.find(l => l.key === 'concrete');
+  near(concrete.amount, q.concrete.total * 3 * DEFAULT_RATES.concrete, 1e-12);
+  near(boq.total, boq.lines.reduce((s, l) => s + l.amount, 0), 1e-12);
+});
@@ -0,0 +1,67 @@
+/* Particle settling against hand-worked textbook examples (Stokes, Hazen, column test, Camp). */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  settlingVelocity, waterViscosity, waterDensity, calcSettling, parseColumnTest, columnRemoval,
+  runDesign, CAMP_K, DARCY_F, G
+} from '../design.js';
+
+const near = (actual, expected, rel = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * rel, `${actual} is not within ${rel * 100} % of ${expected}`);
+
+test('water properties at 10 and 20 °C match the tables', () => {
+  near(waterViscosity(20), 1.002e-3);
+  near(waterViscosity(10), 1.307e-3);
+  near(waterDensity(20), 998.2, 0.001);
+  near(waterDensity(10), 999.7, 0.001);
+});
+
+test('Stokes settling of a 0.06 mm sand grain at 10 °C', () => {
+  // vs = g (s - 1) d² / 18ν = 9.81 × 1.65 × (0.06e-3)² / (18 × 1.31e-6) = 2.47e-3 m/s, Re ≈ 0.11
+  const { vs, Re, regime } = settlingVelocity(0.06e-3, 2.65, 10);
+  near(vs, 2.47e-3);
+  assert.equal(regime, 'Stokes');
+  near(Re, 0.114, 0.02);
+});
+
+test('a 0.5 mm grain leaves the Stokes range and settles slower than Stokes predicts', () => {
+  const T = 20, d = 0.5e-3, sg = 2.65;
+  const { vs, Re, regime } = settlingVelocity(d, sg, T);
+  const rho = waterDensity(T), mu = waterViscosity(T);
+  const stokes = G * (sg * 1000 - rho) * d * d / (18 * mu);
+  assert.equal(regime, 'Transition');
+  assert.ok(vs < stokes);
+  // converged: vs satisfies Newton's drag law with Cd = 24/Re + 3/√Re + 0.34 at its own Re
+  const Cd = 24 / Re + 3 / Math.sqrt(Re) + 0.34;
+  near(vs, Math.sqrt(4 * G * (sg * 1000 - rho) * d / (3 * Cd * rho)), 1e-6);
+});
+
+test('Hazen: the critical particle at 20 m³/m²/day and partial removal of a finer class', () => {
+  // vo = 20 / 86400 = 2.315e-4 m/s; dc = √(18 μ vo / g(ρs - ρ)) = 0.0161 mm
+  const s = calcSettling({ psd: '0.01:100', sg: 2.65, temp: 20 }, 20);
+  near(s.vo, 2.315e-4, 0.001);
+  near(s.dc_mm, 0.0161);
+  // a 0.01 mm particle is removed in the ratio vs / vo = (0.01 / 0.0161)² = 0.386
+  near(s.classes[0].removal, 0.386, 0.02);
+  near(s.overall, s.classes[0].vs / s.vo, 1e-9);
+});
+
+test('Type II removal from a settling column', () => {
+  // both ports have 50 % removed at 10 min and 100 % at 20 min; at vo = 2 m / 15 min the
+  // column time is t* = 15 min, every port reads 75 %, and the depth average is 75 %
+  const column = parseColumnTest('z, 10, 20\n1, 50, 100\n2, 50, 100');
+  const r = columnRemoval(column, 2 / (15 * 60));
+  assert.equal(r.tStar, 15);
+  assert.deepEqual(r.Rz, [75, 75]);
+  near(r.removal, 0.75, 1e-9);
+  assert.equal(parseColumnTest('z, 10, 20'), null);
+});
+
+test("Camp's scour velocity for the critical particle", () => {
+  // vH = √(8k(s - 1) g d / f) with k = 0.05, f = 0.025
+  const { design: d } = runDesign({});
+  const dc = d.settling.dc_mm / 1000;
+  near(d.hydraulics.vScour, Math.sqrt(8 * CAMP_K * 1.65 * G * dc / DARCY_F), 1e-9);
+  // the textbook 0.1 mm particle scours at about 0.16 m/s
+  near(Math.sqrt(8 * CAMP_K * 1.65 * G * 0.1e-3 / DARCY_F), 0.161);
+});
@@ -0,0 +1,87 @@
+/* Input schema: structured errors and warnings, and the command line wrapper. */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { validateInputs, runDesign, DEFAULT_INPUTS, INPUT_SCHEMA } from '../design.js';
+
+const codes = list => list.map(e => `${e.field}:${e.code}`);
+const cli = (input, ...args) => spawnSync(process.execPath, [fileURLToPath(new URL('../cli.js', import.meta.url)), ...args], {
+  input: typeof input === 'string' ? input : JSON.stringify(input), encoding: 'utf8'
+});
+
+test('the defaults validate cleanly and every input has a schema entry', () => {
+  const r = validateInputs(DEFAULT_INPUTS);
+  assert.deepEqual(r.errors, []);
+  assert.deepEqual(r.warnings, []);
+  assert.deepEqual(Object.keys(INPUT_SCHEMA).sort(), Object.keys(DEFAULT_INPUTS).sort());
+});
+
+test('zero or blank values are errors instead of silent defaults', () => {
+  const r = runDesign({ sor: 0, population: 0, pcd: '' });
+  assert.deepEqual(codes(r.errors), ['population:range', 'pcd:required', 'sor:range']);
+  assert.equal(r.design, null);
+  assert.match(r.errors[0].message, /Population must be greater than 0/);
+});
+
+test('form strings are coerced to numbers; bad numbers are reported', () => {
+  assert.equal(validateInputs({ population: '30000', depth: ' 3 ' }).inputs.population, 30000);
+  assert.deepEqual(codes(validateInputs({ depth: 'deep', units: 2.5, sg: 1, temp: 120, tankType: 'square' }).errors),
+    ['tankType:enum', 'depth:type', 'units:integer', 'sg:range', 'temp:range']);
+});
+
+test('requirements follow the flow basis and the mode', () => {
+  // plant capacity replaces population and demand
+  assert.deepEqual(codes(validateInputs({ flowBasis: 'capacity', population: '', pcd: '' }).errors), ['capacity:required']);
+  assert.deepEqual(validateInputs({ flowBasis: 'capacity', capacity: 5, population: '', pcd: '' }).errors, []);
+  // an existing tank needs its size instead of SOR and detention
+  assert.deepEqual(codes(validateInputs({ mode: 'check', sor: '', detention: '' }).errors), ['tankL:required', 'tankB:required']);
+  assert.deepEqual(codes(validateInputs({ mode: 'check', tankType: 'radial' }).errors), ['tankDia:required']);
+  assert.deepEqual(validateInputs({ mode: 'check', tankType: 'radial', tankDia: 20 }).errors, []);
+  // optional fields may stay blank
+  assert.deepEqual(validateInputs({ maxL: '', sludgeRemoval: '', roundPlan: '' }).errors, []);
+});
+
+test('settling data are checked for the chosen settling type', () => {
+  assert.deepEqual(codes(validateInputs({ settlingType: 'flocculent', columnTest: 'z, 10' }).errors), ['columnTest:invalid']);
+  assert.deepEqual(validateInputs({ settlingType: 'discrete', columnTest: '' }).errors, []);
+  const w = validateInputs({ psd: '0.01:40, 0.1:50' }).warnings;
+  assert.deepEqual(codes(w), ['psd:check']);
+  assert.match(w[0].message, /add up to 90 %/);
+  assert.deepEqual(codes(validateInputs({ psd: '' }).warnings), ['psd:check']);
+});
+
+test('limits are quoted with their unit, in the caller\'s units when a format is given', () => {
+  assert.match(validateInputs({ temp: -5 }).errors[0].message, /Water temperature must be at least 0 °C\./);
+  const fahrenheit = (v, field) => (field === 'temp' ? `${v * 1.8 + 32} °F` : String(v));
+  const r = validateInputs({ temp: -5, sor: 20 }, { format: fahrenheit });
+  assert.match(r.errors[0].message, /at least 32 °F\./);
+  assert.match(r.warnings[0].message, /Surface overflow rate 20 is below 1000/);
+});
+
+test('warnings do not stop the design', () => {
+  const r = runDesign({ sor: 20, peakFactor: 0.8, growthMethod: 'geometric', designPeriod: 10, census: '2021:20000', colour: 'blue' });
+  assert.deepEqual(r.errors, []);
+  assert.deepEqual(codes(r.warnings), ['colour:unknown', 'sor:check', 'peakFactor:check', 'census:check']);
+  assert.ok(r.design.planArea > 0);
+});
+
+test('cli designs a JSON input and reports errors with exit status 1', () => {
+  const ok = cli({ population: 20000 });
+  assert.equal(ok.status, 0);
+  const out = JSON.parse(ok.stdout);
+  assert.equal(out.design.L, 24.5);
+  assert.deepEqual(out.errors, []);
+
+  const bad = cli({ sor: 0 });
+  assert.equal(bad.status, 1);
+  assert.equal(JSON.parse(bad.stdout).design, null);
+  assert.match(bad.stderr, /sor: Surface overflow rate must be greater than 0/);
+});
+
+test('cli runs a batch and rejects unreadable input', () => {
+  const batch = cli([{ population: 20000 }, { flowBasis: 'capacity', capacity: 10, tankType: 'radial' }]);
+  assert.equal(batch.status, 0);
+  assert.deepEqual(JSON.parse(batch.stdout).map(r => r.design.tankType), ['horizontal', 'radial']);
+  assert.equal(cli('{ not json').status, 2);
+});